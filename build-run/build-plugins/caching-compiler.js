@@ -0,0 +1,21 @@
+// the parts of the caching-compiler package's CachingCompiler that compilers extend, without the caching
+// (esbuild only reloads a file when it changes). Subclasses implement compileOneFile and addCompileResult
+export default class CachingCompiler {
+  constructor({ compilerName } = {}) {
+    this.compilerName = compilerName;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  setDiskCacheDirectory() {
+    // noop
+  }
+
+  async processFilesForTarget(inputFiles) {
+    await Promise.all(inputFiles.map(async (inputFile) => {
+      const result = await this.compileOneFile(inputFile);
+      if (result) {
+        this.addCompileResult(inputFile, result);
+      }
+    }));
+  }
+}
@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { nodeNameToMeteorName } from '../../helpers/helpers.js';
+import loadCompilers from './load-build-plugins.js';
+import InputFile from './input-file.js';
+
+// the build already handles these (esbuild itself, blaze-plugin and less-plugin), compilers registered for them are ignored
+const BuiltInExtensions = new Set(['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'json', 'css', 'html', 'less', 'lessimport']);
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// node_modules/@meteor/foo/x.md => { packageName: 'foo', pathInPackage: 'x.md' }, the app's own files don't have a package
+function packageAndPath(filePath) {
+  const match = filePath.match(/node_modules\/(@[^/]+\/[^/]+|[^/]+)\/(.*)$/);
+  if (match) {
+    return { packageName: nodeNameToMeteorName(match[1]), pathInPackage: match[2] };
+  }
+  return { packageName: null, pathInPackage: path.relative(process.cwd(), filePath) };
+}
+
+function filterForCompiler({ extensions, filenames }) {
+  const patterns = [
+    ...extensions.filter((extension) => !BuiltInExtensions.has(extension)).map((extension) => `\\.${escapeRegExp(extension)}`),
+    ...filenames.map((filename) => `/${escapeRegExp(filename)}`),
+  ];
+  return patterns.length ? new RegExp(`(${patterns.join('|')})$`) : undefined;
+}
+
+/**
+ * runs the compilers registered by the packages' build plugins (see MeteorPackage.addBuildPlugin) on the files they handle
+ * @param {{ arch: String, isProduction: Boolean, cache: Cache? }} options arch is 'os' for the server
+ */
+export default function compilerPlugin({ arch, isProduction, cache }) {
+  const isClient = arch !== 'os';
+  return {
+    name: 'meteor-build-plugins',
+    async setup(build) {
+      const compilers = (await loadCompilers(isProduction))
+        .filter(({ archMatching }) => !archMatching || arch.startsWith(archMatching));
+      compilers.forEach((compiler) => {
+        const filter = filterForCompiler(compiler);
+        if (!filter) {
+          return;
+        }
+        // like meteor, each compiler is created once per arch - and only if it's needed
+        let instance;
+        const getInstance = () => {
+          if (!instance) {
+            instance = compiler.factory();
+          }
+          return instance;
+        };
+        // the server build treats relative imports as separate entry points, compiled files are bundled into the file importing them
+        build.onResolve({ filter }, ({ path: filePath, resolveDir }) => {
+          if (!filePath.startsWith('.') && !filePath.startsWith('/')) {
+            return undefined;
+          }
+          return { path: path.resolve(resolveDir, filePath) };
+        });
+        build.onLoad({ filter }, async ({ path: filePath }) => {
+          if (cache) {
+            const cached = await cache.get(filePath);
+            if (cached) {
+              return JSON.parse(cached.contents);
+            }
+          }
+          const inputFile = new InputFile({
+            filePath,
+            contents: await fs.readFile(filePath),
+            arch,
+            ...packageAndPath(filePath),
+          });
+          try {
+            await getInstance().processFilesForTarget([inputFile]);
+          }
+          catch (e) {
+            return {
+              errors: [{
+                text: [
+                  `${compiler.plugin} couldn't compile ${filePath}: ${e.message}`,
+                  ...(compiler.failedUses.length ? [`the plugin couldn't load ${compiler.failedUses.join(', ')}`] : []),
+                ].join('\n'),
+              }],
+            };
+          }
+          const result = inputFile.toLoadResult(isClient);
+          if (cache && !result.errors && !result.warnings.length) {
+            await cache.set(filePath, JSON.stringify(result));
+          }
+          return result;
+        });
+      });
+    },
+  };
+}
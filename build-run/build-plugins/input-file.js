@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import path from 'path';
+
+// what a compiler's processFilesForTarget gets for each file (meteor's InputFile), every file is compiled on its own when esbuild loads it
+export default class InputFile {
+  #filePath;
+
+  #contents;
+
+  #packageName;
+
+  #pathInPackage;
+
+  #arch;
+
+  #js = [];
+
+  #css = [];
+
+  #html = [];
+
+  #errors = [];
+
+  #warnings = [];
+
+  constructor({
+    filePath,
+    contents,
+    packageName,
+    pathInPackage,
+    arch,
+  }) {
+    this.#filePath = filePath;
+    this.#contents = contents;
+    this.#packageName = packageName;
+    this.#pathInPackage = pathInPackage;
+    this.#arch = arch;
+  }
+
+  getContentsAsBuffer() {
+    return this.#contents;
+  }
+
+  getContentsAsString() {
+    return this.#contents.toString('utf8');
+  }
+
+  // null for the app's own files
+  getPackageName() {
+    return this.#packageName;
+  }
+
+  getPathInPackage() {
+    return this.#pathInPackage;
+  }
+
+  getBasename() {
+    return path.basename(this.#pathInPackage);
+  }
+
+  getDirname() {
+    return path.dirname(this.#pathInPackage);
+  }
+
+  getExtension() {
+    return path.extname(this.#pathInPackage).slice(1);
+  }
+
+  getDisplayPath() {
+    return this.#packageName ? `packages/${this.#packageName}/${this.#pathInPackage}` : this.#pathInPackage;
+  }
+
+  getArch() {
+    return this.#arch;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getFileOptions() {
+    return {};
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getDeclaredExports() {
+    return [];
+  }
+
+  getSourceHash() {
+    return crypto.createHash('sha1').update(this.#contents).digest('hex');
+  }
+
+  // compilers can pass the data straight away or a function that returns it
+  addJavaScript(options, lazyFinalizer) {
+    this.#js.push({ ...options, ...lazyFinalizer?.() }.data);
+  }
+
+  addStylesheet(options, lazyFinalizer) {
+    this.#css.push({ ...options, ...lazyFinalizer?.() }.data);
+  }
+
+  addHtml({ section, data }) {
+    this.#html.push({ section, data });
+  }
+
+  addAsset({ path: assetPath }) {
+    this.#warnings.push({ text: `assets added by compilers aren't supported, ${assetPath} was skipped` });
+  }
+
+  error({ message, line, column }) {
+    this.#errors.push({
+      text: message,
+      ...(line && { location: { file: this.#filePath, line, column } }),
+    });
+  }
+
+  // the result of esbuild's onLoad. On the client the HTML and CSS are added to the document by the file's JS
+  // (unless the file is only CSS), on the server they're dropped - as they are by meteor
+  toLoadResult(isClient) {
+    const warnings = this.#warnings;
+    if (this.#errors.length) {
+      return { errors: this.#errors, warnings };
+    }
+    if (isClient && this.#css.length && !this.#js.length && !this.#html.length) {
+      return { contents: this.#css.join('\n'), loader: 'css', warnings };
+    }
+    return {
+      contents: [
+        ...this.#js,
+        ...(isClient ? [
+          ...this.#html.map(({ section, data }) => `document.${section}.insertAdjacentHTML('beforeend', ${JSON.stringify(data)});`),
+          ...this.#css.map((css) => (
+            `document.head.appendChild(Object.assign(document.createElement('style'), { textContent: ${JSON.stringify(css)} }));`
+          )),
+        ] : []),
+      ].join('\n'),
+      loader: 'js',
+      warnings,
+    };
+  }
+}
@@ -0,0 +1,159 @@
+import esbuild from 'esbuild';
+import fs from 'fs';
+import fsExtra from 'fs-extra';
+import path from 'path';
+import vm from 'vm';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import readPackageJson from '../../helpers/read-package-json';
+import { resolveExportTarget } from '../../helpers/helpers.js';
+import { warn } from '../../helpers/log.js';
+import CachingCompiler from './caching-compiler.js';
+import MultiFileCachingCompiler from './multi-file-caching-compiler.js';
+
+// the build plugins are loaded once per app (test-packages builds from a different folder) and shared by every build
+const loadedByFolder = new Map();
+
+// every build plugin (meteor.buildPlugins in package.json) of the converted packages the app depends on
+async function findBuildPlugins(nodeName, found, visited) {
+  if (visited.has(nodeName)) {
+    return;
+  }
+  visited.add(nodeName);
+  const packageDir = path.resolve('./node_modules', nodeName);
+  if (!await fsExtra.pathExists(`${packageDir}/package.json`)) {
+    return;
+  }
+  const packageJson = await readPackageJson(`${packageDir}/package.json`);
+  if (!packageJson.meteorTmp) {
+    return;
+  }
+  found.push(...(packageJson.meteor?.buildPlugins || []).map((plugin) => ({ ...plugin, nodeName, packageDir })));
+  await Promise.all(Object.keys({ ...packageJson.dependencies, ...packageJson.peerDependencies })
+    .map((dep) => findBuildPlugins(dep, found, visited)));
+}
+
+// the packages a build plugin uses are imported by the build, not the app, so they're resolved from the app's node_modules by hand
+async function importUsedPackage(nodeName, conditions) {
+  const packageDir = path.resolve('./node_modules', nodeName);
+  const { exports, main = 'index.js' } = await readPackageJson(`${packageDir}/package.json`);
+  const entry = exports ? resolveExportTarget(exports['.'] || exports, conditions) : main;
+  return import(pathToFileURL(path.join(packageDir, entry)).href);
+}
+
+async function loadBuildPlugin({
+  name,
+  sources,
+  uses = [],
+  nodeName,
+  packageDir,
+}, conditions) {
+  const compilers = [];
+  // these only matter if one of the plugin's compilers fails, plenty of plugins (e.g., ecmascript's) are never used
+  const failedUses = [];
+  const usedExports = await Promise.all(uses.map(async (use) => {
+    try {
+      return await importUsedPackage(use, conditions);
+    }
+    catch (e) {
+      failedUses.push(`${use} (${e.message})`);
+      return {};
+    }
+  }));
+  const pluginRequire = createRequire(`${packageDir}/package.json`);
+  const sandbox = {
+    console,
+    process,
+    Buffer,
+    setTimeout,
+    clearTimeout,
+    setImmediate,
+    clearImmediate,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    CachingCompiler,
+    MultiFileCachingCompiler,
+    ...Object.assign({}, ...usedExports),
+    Npm: {
+      require: pluginRequire,
+      depends() {
+        // noop, the npm dependencies are installed with the package
+      },
+    },
+    Plugin: {
+      fs,
+      path,
+      registerCompiler({ extensions = [], filenames = [], archMatching }, factory) {
+        compilers.push({
+          plugin: `${nodeName}/${name}`,
+          extensions,
+          filenames,
+          archMatching,
+          factory,
+          failedUses,
+        });
+      },
+      registerSourceHandler(extension) {
+        warn(`${nodeName}/${name} registers a source handler for .${extension}, only compilers (Plugin.registerCompiler) are supported`);
+      },
+      registerMinifier() {
+        // noop, esbuild minifies
+      },
+      registerLinter() {
+        // noop
+      },
+    },
+  };
+  sandbox.global = sandbox;
+  vm.createContext(sandbox);
+  // like meteor, each source file gets its own scope and anything assigned without being declared is shared by the plugin's files
+  const transformed = await Promise.all(sources.map(async (source) => {
+    const filename = path.join(packageDir, source);
+    const { code } = await esbuild.transform(await fsExtra.readFile(filename, 'utf8'), {
+      format: 'cjs',
+      loader: source.endsWith('.ts') ? 'ts' : 'js',
+      sourcefile: filename,
+    });
+    return { filename, code };
+  }));
+  transformed.forEach(({ filename, code }) => {
+    const fileModule = { exports: {} };
+    vm.runInContext(`(function (require, module, exports) {${code}\n})`, sandbox, { filename })(
+      pluginRequire,
+      fileModule,
+      fileModule.exports,
+    );
+  });
+  return compilers;
+}
+
+async function loadAllCompilers(conditions) {
+  const appPackageJson = await readPackageJson();
+  const buildPlugins = [];
+  const visited = new Set();
+  await Promise.all(Object.keys({ ...appPackageJson.dependencies, ...appPackageJson.devDependencies })
+    .map((dep) => findBuildPlugins(dep, buildPlugins, visited)));
+  return (await Promise.all(buildPlugins.map(async (buildPlugin) => {
+    try {
+      return await loadBuildPlugin(buildPlugin, conditions);
+    }
+    catch (e) {
+      warn(`couldn't load the build plugin ${buildPlugin.name} of ${buildPlugin.nodeName}: ${e.message}`);
+      return [];
+    }
+  }))).flat();
+}
+
+/**
+ * the compilers registered (Plugin.registerCompiler) by the build plugins of every converted package the app depends on
+ * @param {Boolean} isProduction
+ * @returns {Promise<[{ plugin: String, extensions: [String], filenames: [String], archMatching: String?, factory: Function, failedUses: [String] }]>}
+ */
+export default function loadCompilers(isProduction) {
+  const key = `${process.cwd()}:${isProduction}`;
+  if (!loadedByFolder.has(key)) {
+    loadedByFolder.set(key, loadAllCompilers(['node', 'import', isProduction ? 'production' : 'development']));
+  }
+  return loadedByFolder.get(key);
+}
@@ -0,0 +1,23 @@
+import CachingCompiler from './caching-compiler.js';
+
+// caching-compiler's MultiFileCachingCompiler. Since every file is compiled on its own, the only file a compiler can find in allFiles
+// is the one it's compiling - imports between files of the same type (e.g., @import in a stylesheet) must be resolved by the compiler itself
+export default class MultiFileCachingCompiler extends CachingCompiler {
+  // eslint-disable-next-line class-methods-use-this
+  isRoot() {
+    return true;
+  }
+
+  async processFilesForTarget(inputFiles) {
+    const allFiles = new Map(inputFiles.map((inputFile) => [
+      `{${inputFile.getPackageName() || ''}}/${inputFile.getPathInPackage()}`,
+      inputFile,
+    ]));
+    await Promise.all(inputFiles.filter((inputFile) => this.isRoot(inputFile)).map(async (inputFile) => {
+      const result = await this.compileOneFile(inputFile, allFiles);
+      if (result) {
+        this.addCompileResult(inputFile, result.compileResult);
+      }
+    }));
+  }
+}
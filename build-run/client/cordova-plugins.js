@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import fsExtra from 'fs-extra';
+import path from 'path';
+import readPackageJson from '../../helpers/read-package-json';
+import { baseFolder } from '../../helpers/base-folder.js';
+import { nodeNameToMeteorName } from '../../helpers/helpers.js';
+import { warn } from '../../helpers/log.js';
+
+// the Cordova.depends of every converted package the app depends on (meteor.cordovaDependencies in package.json)
+async function collectPackagePlugins(nodeName, plugins, visited) {
+  if (visited.has(nodeName)) {
+    return;
+  }
+  visited.add(nodeName);
+  const packageJsonPath = `./node_modules/${nodeName}/package.json`;
+  if (!await fsExtra.pathExists(packageJsonPath)) {
+    return;
+  }
+  const packageJson = await readPackageJson(packageJsonPath);
+  if (!packageJson.meteorTmp) {
+    return;
+  }
+  Object.entries(packageJson.meteor?.cordovaDependencies || {}).forEach(([plugin, version]) => {
+    if (!plugins.has(plugin)) {
+      plugins.set(plugin, new Map());
+    }
+    plugins.get(plugin).set(nodeNameToMeteorName(nodeName), version);
+  });
+  await Promise.all(Object.keys({ ...packageJson.dependencies, ...packageJson.peerDependencies })
+    .map((dep) => collectPackagePlugins(dep, plugins, visited)));
+}
+
+// .meteor/cordova-plugins has one plugin@version per line, these win over the packages' versions
+async function readAppPlugins() {
+  const appPluginsPath = `${baseFolder}/cordova-plugins`;
+  if (!await fsExtra.pathExists(appPluginsPath)) {
+    return new Map();
+  }
+  return new Map((await fs.readFile(appPluginsPath)).toString()
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const versionIndex = line.lastIndexOf('@');
+      return versionIndex > 0 ? [line.slice(0, versionIndex), line.slice(versionIndex + 1)] : [line, undefined];
+    }));
+}
+
+/**
+ * writes cordova-plugins.json next to the web.cordova program.json, the plugins the native build needs to install
+ * { plugins: { [plugin]: version }, requestedBy: { [plugin]: [meteorName or 'app'] } }
+ */
+export default async function writeCordovaPlugins(archName, packageJson, outputBuildFolder) {
+  const packagePlugins = new Map();
+  const visited = new Set();
+  await Promise.all(Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies })
+    .map((dep) => collectPackagePlugins(dep, packagePlugins, visited)));
+  const appPlugins = await readAppPlugins();
+
+  const plugins = {};
+  const requestedBy = {};
+  packagePlugins.forEach((versionsByPackage, plugin) => {
+    const versions = Array.from(new Set(versionsByPackage.values()));
+    if (versions.length > 1 && !appPlugins.has(plugin)) {
+      const requested = Array.from(versionsByPackage.entries()).map(([meteorName, version]) => `${meteorName}@${version}`);
+      warn(`${plugin} is requested at different versions (${requested.join(', ')}), using ${versions[0]}`);
+    }
+    [plugins[plugin]] = versions;
+    requestedBy[plugin] = Array.from(versionsByPackage.keys());
+  });
+  appPlugins.forEach((version, plugin) => {
+    plugins[plugin] = version;
+    requestedBy[plugin] = [...(requestedBy[plugin] || []), 'app'];
+  });
+  return fs.writeFile(
+    path.join(outputBuildFolder, archName, 'cordova-plugins.json'),
+    JSON.stringify({ plugins, requestedBy }, null, 2),
+  );
+}
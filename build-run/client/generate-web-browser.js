@@ -15,10 +15,31 @@ import stubsPlugin from './stubs-plugin.js';
 import onStart from './start-plugin.js';
 import onEnd from './end-plugin.js';
 import addJsExtension from './add-js-extension';
+import compilerPlugin from '../build-plugins/compiler-plugin.js';
+import writeCordovaPlugins from './cordova-plugins.js';
 
 // can't actually be weak since `build` is new each time.
 const weakMap = new Map();
 
+export const ClientExternals = [
+  '*.jpg',
+  '*.png',
+  '*.svg',
+  '/fonts/*',
+  '/packages/*', // for things like qualia_semantic that hardcode the URL
+];
+
+export function clientDefines(archName) {
+  return {
+    'Meteor.isServer': 'false',
+    'Meteor.isClient': 'true',
+    'Meteor.isModern': archName === 'web.browser' ? 'true' : 'false',
+    'Meteor.isCordova': archName === 'web.cordova' ? 'true' : 'false',
+    global: 'globalThis', // hack mostly for util (or any other npm dependency of a meteor package that looks for global)
+    '__package_globals.require': 'require',
+  };
+}
+
 async function buildClient({
   archName,
   packageJson,
@@ -44,25 +65,14 @@ async function buildClient({
     outdir,
     preserveSymlinks: true,
     conditions: [isProduction ? 'production' : 'development', archName],
-    external: [
-      '*.jpg',
-      '*.png',
-      '*.svg',
-      '/fonts/*',
-      '/packages/*', // for things like qualia_semantic that hardcode the URL
-    ],
+    external: ClientExternals,
     sourcemap: 'linked',
     logLevel: 'error',
-    define: {
-      'Meteor.isServer': 'false',
-      'Meteor.isClient': 'true',
-      'Meteor.isModern': archName === 'web.browser' ? 'true' : 'false',
-      global: 'globalThis', // hack mostly for util (or any other npm dependency of a meteor package that looks for global)
-      '__package_globals.require': 'require',
-    },
+    define: clientDefines(archName),
     plugins: [
       blazePlugin(cache),
       lessPlugin(cache),
+      compilerPlugin({ arch: archName, isProduction, cache }),
       stubsPlugin(buildRoot),
       addJsExtension(buildRoot),
       onStart(async () => {
@@ -103,6 +113,9 @@ async function buildClient({
     metafile: true,
   });
   isInitial = false;
+  if (appProcess && !isProduction) {
+    appProcess.addClientBuild(archName, build);
+  }
   return Object.keys(build.metafile.outputs);
 }
 
@@ -330,4 +343,8 @@ export default async function generateWebBrowser(
       outputBuildFolder,
     },
   );
+  // the native packaging happens elsewhere, it just needs to know which plugins to install
+  if (archName === 'web.cordova') {
+    await writeCordovaPlugins(archName, packageJson, outputBuildFolder);
+  }
 }
@@ -7,8 +7,8 @@ import ensureBuildDirectory from '../ensure-build-directory.js';
 import { baseFolder } from '../../helpers/base-folder.js';
 import readPackageJson from '../../helpers/read-package-json';
 import queueForBuild from './queue-plugin.js';
-
-const staticPath = path.join(path.dirname(import.meta.url), '..', '..', 'static').replace('file:', '');
+import compilerPlugin from '../build-plugins/compiler-plugin.js';
+import staticFile from '../../helpers/static-file.js';
 
 async function buildServer({
   isProduction,
@@ -43,7 +43,9 @@ async function buildServer({
         logLevel: 'error',
         bundle: true,
         format: 'esm',
-        plugins: [queueForBuild(buildRoot, queue)],
+        // node (with --enable-source-maps) follows these back to the app source
+        sourcemap: 'linked',
+        plugins: [compilerPlugin({ arch: 'os', isProduction }), queueForBuild(buildRoot, queue)],
         define: {
           'Meteor.isServer': 'true',
           'Meteor.isClient': 'false',
@@ -90,10 +92,11 @@ async function linkAssets({
   }
   return Promise.all([
     ...optional,
-    fs.copyFile(path.join(staticPath, 'pre-boot.js'), `${outputBuildFolder}/server/pre-boot.js`),
-    fs.copyFile(path.join(staticPath, 'main.js'), `${outputBuildFolder}/server/main.js`),
-    fs.copyFile(path.join(staticPath, 'assets.js'), `${outputBuildFolder}/server/assets.js`),
-    fs.copyFile(path.join(staticPath, 'post-boot.js'), `${outputBuildFolder}/server/post-boot.js`),
+    fs.copyFile(staticFile('pre-boot.js'), `${outputBuildFolder}/server/pre-boot.js`),
+    fs.copyFile(staticFile('main.js'), `${outputBuildFolder}/server/main.js`),
+    fs.copyFile(staticFile('assets.js'), `${outputBuildFolder}/server/assets.js`),
+    fs.copyFile(staticFile('create-assets.js'), `${outputBuildFolder}/server/create-assets.js`),
+    fs.copyFile(staticFile('post-boot.js'), `${outputBuildFolder}/server/post-boot.js`),
   ]);
 }
 
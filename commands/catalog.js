@@ -0,0 +1,121 @@
+import fs from 'fs-extra';
+import { notify, warn } from '../helpers/log';
+import { nodeNameToMeteorName } from '../helpers/helpers';
+import { packageDbPath, readPackageDbVersions, readPackageDbBuilds } from '../helpers/ensure-local-package';
+import { readCatalogSnapshot, writeCatalogSnapshot } from '../helpers/catalog-snapshot';
+import ConversionJob from '../conversion/conversion-job';
+import MeteorPackage from '../conversion/meteor-package';
+import readAppPackages from './helpers/app-packages';
+
+// the packages the app's local packages (including their tests) use, they aren't in the catalog themselves
+async function localPackageDependencies({ directories, meteorInstall }) {
+  const job = new ConversionJob({
+    outputGeneralDirectory: '.',
+    otherPackageFolders: directories,
+    meteorInstall,
+  });
+  const packageJsPaths = await job.getPackageJsPaths();
+  return (await Promise.all(Array.from(packageJsPaths.entries()).map(async ([meteorName, { packageJsPath, type }]) => {
+    const meteorPackage = new MeteorPackage({
+      meteorName,
+      isTest: false,
+      job,
+    });
+    try {
+      await meteorPackage.readDependenciesFromPacakgeJS(packageJsPath, type);
+    }
+    catch (e) {
+      warn(`${packageJsPath} couldn't be evaluated, the packages it uses might be missing from the snapshot: ${e.message}`);
+      return [];
+    }
+    return [
+      ...Object.keys(meteorPackage.versionRecord.dependencies),
+      ...Object.keys(meteorPackage.testVersionRecord?.dependencies || {}),
+    ];
+  }))).flat();
+}
+
+// every version of every package reachable from the roots, any version might be picked by the constraint solver
+function relevantVersions(versions, roots) {
+  const versionsByPackage = new Map();
+  versions.forEach((row) => {
+    if (!versionsByPackage.has(row.packageName)) {
+      versionsByPackage.set(row.packageName, []);
+    }
+    versionsByPackage.get(row.packageName).push(row);
+  });
+  const seen = new Set();
+  const toVisit = [...roots];
+  const ret = [];
+  while (toVisit.length) {
+    const meteorName = toVisit.pop();
+    if (!seen.has(meteorName)) {
+      seen.add(meteorName);
+      (versionsByPackage.get(meteorName) || []).forEach((row) => {
+        ret.push(row);
+        toVisit.push(...Object.keys(row.content.dependencies || {}));
+      });
+    }
+  }
+  return ret;
+}
+
+/**
+ * writes the versions (and their builds) of every package the app could use from the meteor install's catalog to a JSON snapshot
+ */
+export async function exportCatalog({
+  file,
+  meteorInstall,
+  directories = [],
+  extraPackages = [],
+  all = false,
+}) {
+  const dbPath = packageDbPath(meteorInstall);
+  if (!await fs.pathExists(dbPath)) {
+    throw new Error(`${dbPath} does not exist, is meteor installed at ${meteorInstall}?`);
+  }
+  const allVersions = (await readPackageDbVersions({ meteorInstall }))
+    .map((row) => ({ ...row, content: JSON.parse(row.content) }));
+  let versions = allVersions;
+  if (!all) {
+    const roots = [
+      ...((await readAppPackages()) || []).map(({ nodeName }) => nodeNameToMeteorName(nodeName)),
+      ...await localPackageDependencies({ directories, meteorInstall }),
+      ...extraPackages,
+    ];
+    versions = relevantVersions(allVersions, roots);
+  }
+  const builds = (await readPackageDbBuilds({ meteorInstall, versionIds: versions.map(({ _id: versionId }) => versionId) }))
+    .map((row) => ({ ...row, content: JSON.parse(row.content) }));
+  await writeCatalogSnapshot(file, { versions, builds });
+  const packageCount = new Set(versions.map(({ packageName }) => packageName)).size;
+  notify(`wrote ${versions.length} versions of ${packageCount} packages to ${file}`);
+}
+
+// the same version in both snapshots is the same version, the one being imported wins
+function mergeRows(existingRows, importedRows) {
+  const rowsById = new Map([...existingRows, ...importedRows].map((row) => {
+    const { _id: rowId } = row;
+    return [rowId, row];
+  }));
+  return Array.from(rowsById.values());
+}
+
+/**
+ * validates a snapshot (e.g., exported on a machine with meteor installed) and makes it the one this app uses
+ */
+export async function importCatalog({
+  from,
+  file,
+  merge = false,
+}) {
+  const imported = await readCatalogSnapshot(from);
+  let { versions, builds } = imported;
+  if (merge && await fs.pathExists(file)) {
+    const existing = await readCatalogSnapshot(file);
+    versions = mergeRows(existing.versions, versions);
+    builds = mergeRows(existing.builds, builds);
+  }
+  await writeCatalogSnapshot(file, { versions, builds });
+  notify(`${file} now has ${versions.length} versions`);
+}
@@ -10,6 +10,8 @@ export default async function convertPackageToNodeModule({
   outputSharedDirectory,
   outputLocalDirectory,
   forceRefresh,
+  jobs,
+  reportDirectory,
 }) {
   const job = new ConversionJob({
     outputGeneralDirectory,
@@ -20,6 +22,7 @@ export default async function convertPackageToNodeModule({
     options: {
       forceRefresh,
     },
+    jobs,
   });
   const versionsPath = `${baseFolder}/versions`;
   let versions = [];
@@ -30,6 +33,12 @@ export default async function convertPackageToNodeModule({
       .map((line) => line.split('#')[0].trim())
       .filter(Boolean);
   }
-  await job.convertPackages(packageNames, versions);
+  try {
+    await job.convertPackages(packageNames, versions);
+  }
+  finally {
+    // the report is most useful when the conversion fails
+    await job.writeReport(reportDirectory);
+  }
   return Array.from(job.convertedPackageNames());
 }
@@ -55,6 +55,9 @@ export default async function convertPackagesToNodeModulesForApp({
   forceRefresh,
   appPackagesOverride,
   checkVersions = true,
+  jobs,
+  reportDirectory,
+  dependenciesKey,
 }) {
   // by using versions instead of packages we'll enforce converting the exact versions of every package
   // but it also means we're gonna look at every package - not just "ours" + lazily their dependencies
@@ -80,6 +83,7 @@ export default async function convertPackagesToNodeModulesForApp({
     forceRefresh,
     skipNonLocalIfPossible: true,
     checkVersions,
+    jobs,
   });
 
   const outputFolderMapping = {
@@ -94,7 +98,13 @@ export default async function convertPackagesToNodeModulesForApp({
     ...extraPackages,
   ])).filter((name) => !ExcludePackageNames.has(name));
 
-  await job.convertPackages(allPackages, appVersions);
+  try {
+    await job.convertPackages(allPackages, appVersions);
+  }
+  finally {
+    // the report is most useful when the conversion fails
+    await job.writeReport(reportDirectory);
+  }
 
   // HACK: we pass in a test suffix necessary to get the conversion job to convert specific packages tests
   // but when we get here we need to be working with clean names - it's possible we can handle this as part of the meteorNameToNodeName functions
@@ -126,7 +136,7 @@ export default async function convertPackagesToNodeModulesForApp({
       outputSharedDirectory,
       outputLocalDirectory,
     ].filter(Boolean);
-    await writePeerDependencies({ name: 'meteor-peer-dependencies', localDirs });
+    await writePeerDependencies({ name: 'meteor-peer-dependencies', localDirs, dependenciesKey });
     const nodePackagesAndVersions = actualPackages.map((meteorName) => {
       const nodeName = meteorNameToNodeName(meteorName);
       const { version } = job.get(meteorName);
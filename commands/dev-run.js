@@ -7,17 +7,25 @@ import generateWebBrowser from '../build-run/client/generate-web-browser';
 import watchPackages from '../conversion/watch-packages';
 import Cache from '../build-run/cache.js';
 
-class AppProcess {
+export class AppProcess {
   #testMetadata;
 
   #archs;
 
   #nodeArgs;
 
-  static #constantNodeArgs = [
+  // while packages are being reconverted, restarts and refreshes are held until the whole pass is done (see whileReconverting)
+  #held;
+
+  #clientBuilds = new Map();
+
+  // verify runs the converted server packages with these too
+  static constantNodeArgs = [
     '--no-wasm-code-gc', // HACK - maybe removable after we move to thread based fibers, maybe not at all
     '--experimental-specifier-resolution=node',
     '--conditions=development',
+    // converted packages ship source maps back to the original meteor package source
+    '--enable-source-maps',
   ];
 
   constructor(archs, { testMetadata, nodeArgs = [] } = {}) {
@@ -27,6 +35,10 @@ class AppProcess {
   }
 
   async restartServer() {
+    if (this.#held) {
+      this.#held.restartServer = true;
+      return;
+    }
     this.process.removeAllListeners('close');
     this.process.removeAllListeners('error');
     const died = new Promise((resolve) => {
@@ -58,6 +70,10 @@ class AppProcess {
     if (!this.process) {
       return;
     }
+    if (this.#held) {
+      this.#held.refreshClients.add(arch);
+      return;
+    }
     if (typeof arch === 'string') {
       // This message will reload the client program and unpause it.
       await this.process.sendMessage('webapp-reload-client', { arch });
@@ -67,6 +83,37 @@ class AppProcess {
     await this.process.sendMessage('client-refresh');
   }
 
+  // the client builds watch the converted packages too, whileReconverting rebuilds them itself
+  addClientBuild(arch, build) {
+    this.#clientBuilds.set(arch, build);
+  }
+
+  /**
+   * reconverting writes any number of packages, the clients are rebuilt and the server is restarted once it's done rather than once per package.
+   * The server imports the converted packages without bundling them, so it has to restart to pick up any change.
+   * Clients reload when they reconnect to the new server, if they weren't changed they're only refreshed
+   * @param {() => Promise<Boolean>} reconvert resolves true if any package was written
+   */
+  async whileReconverting(reconvert) {
+    this.#held = { restartServer: false, refreshClients: new Set() };
+    let anyWritten = false;
+    try {
+      anyWritten = await reconvert();
+      // rebuilding here means their watchers don't rebuild them again later
+      await Promise.all(Array.from(this.#clientBuilds.values()).map((build) => build.rebuild()));
+    }
+    finally {
+      const held = this.#held;
+      this.#held = undefined;
+      if (this.process && (anyWritten || held.restartServer)) {
+        await this.restartServer();
+      }
+      else {
+        await Promise.all(Array.from(held.refreshClients).map((arch) => this.refreshClient(arch)));
+      }
+    }
+  }
+
   #getTestMetadata() {
     if (!this.#testMetadata) {
       return '{}';
@@ -82,7 +129,7 @@ class AppProcess {
       'node',
       [
         ...this.#nodeArgs,
-        ...AppProcess.#constantNodeArgs,
+        ...AppProcess.constantNodeArgs,
         'main.js',
         'config.json',
       ],
@@ -148,7 +195,7 @@ export default async function run(
   );
 
   if (buildAndWatchPackages) {
-    watchPackages(job, { watchAll });
+    await watchPackages(job, { watchAll, appProcess });
   }
 
   const cacheDirectory = path.resolve(path.join(baseBuildFolder, 'cache'));
@@ -0,0 +1,257 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { baseFolder } from '../helpers/base-folder';
+import { notify, warn, error as logError } from '../helpers/log';
+import { packageDbPath, getPackageVersions } from '../helpers/ensure-local-package';
+import { catalogSnapshotPath } from '../helpers/catalog-snapshot';
+import { ExcludePackageNames } from '../constants';
+import ConversionJob from '../conversion/conversion-job';
+import MeteorPackage from '../conversion/meteor-package';
+import { unknownClassifiedPackages } from '../conversion/classification';
+import { isNativeAwait } from '../conversion/ast/rewrite/plugins';
+
+export const Severity = {
+  ERROR: 'error', // something that will make a conversion, build or run fail
+  WARNING: 'warning', // something that will (probably) work, but not how you expect
+  OK: 'ok',
+};
+
+// the version the README asks for, and the last version fibers builds against
+const SupportedNodeMajor = 14;
+
+// --experimental-specifier-resolution (which runner.sh and the server process rely on) was removed in node 19
+const MaxNodeMajor = 18;
+
+class Diagnosis {
+  #issues = [];
+
+  add(severity, check, message) {
+    this.#issues.push({ severity, check, message });
+  }
+
+  ok(check, message) {
+    this.add(Severity.OK, check, message);
+  }
+
+  warning(check, message) {
+    this.add(Severity.WARNING, check, message);
+  }
+
+  error(check, message) {
+    this.add(Severity.ERROR, check, message);
+  }
+
+  get hasErrors() {
+    return this.#issues.some(({ severity }) => severity === Severity.ERROR);
+  }
+
+  print() {
+    const printers = [
+      [Severity.ERROR, logError],
+      [Severity.WARNING, warn],
+      [Severity.OK, notify],
+    ];
+    printers.forEach(([severity, printer]) => {
+      const issues = this.#issues.filter((issue) => issue.severity === severity);
+      if (!issues.length) {
+        return;
+      }
+      printer(`${severity} (${issues.length}):`);
+      issues.forEach(({ check, message }) => printer(`  [${check}] ${message}`));
+    });
+  }
+}
+
+async function checkMeteorFolder(diagnosis) {
+  // both are read by generateConfigJson when building the server
+  await Promise.all(['release', '.id'].map(async (fileName) => {
+    const filePath = path.join(baseFolder, fileName);
+    if (!await fs.pathExists(filePath)) {
+      diagnosis.error('meteor-folder', `${filePath} is missing, the server config can't be generated`);
+      return;
+    }
+    const contents = (await fs.readFile(filePath)).toString()
+      .split('\n')
+      .filter((line) => line && !line.startsWith('#'));
+    if (!contents.length) {
+      diagnosis.warning('meteor-folder', `${filePath} is empty`);
+      return;
+    }
+    diagnosis.ok('meteor-folder', `${filePath} found`);
+  }));
+}
+
+async function checkMainModule(diagnosis) {
+  if (!await fs.pathExists('./package.json')) {
+    diagnosis.error('main-module', 'package.json is missing');
+    return;
+  }
+  const packageJson = JSON.parse((await fs.readFile('./package.json')).toString());
+  const mainModule = packageJson.meteor?.mainModule;
+  ['server', 'client'].forEach((env) => {
+    if (!mainModule?.[env]) {
+      diagnosis.warning('main-module', `package.json has no meteor.mainModule.${env}, run generate-main or migrate to create one`);
+    }
+    else {
+      diagnosis.ok('main-module', `meteor.mainModule.${env} is ${mainModule[env]}`);
+    }
+  });
+}
+
+async function checkAppPackages(diagnosis) {
+  const packagesPath = path.join(baseFolder, 'packages');
+  if (!await fs.pathExists(packagesPath)) {
+    diagnosis.error('app-packages', `${packagesPath} is missing, there is nothing to convert`);
+    return;
+  }
+  const appPackages = (await fs.readFile(packagesPath))
+    .toString()
+    .split('\n')
+    .map((line) => line.split('#')[0].trim().split('@')[0])
+    .filter(Boolean);
+  const excluded = appPackages.filter((meteorName) => ExcludePackageNames.has(meteorName));
+  excluded.forEach((meteorName) => {
+    diagnosis.warning('app-packages', `${meteorName} is excluded from conversion and will be ignored`);
+  });
+  diagnosis.ok('app-packages', `${appPackages.length - excluded.length} of ${appPackages.length} packages will be converted`);
+}
+
+async function checkPackageJsFiles(diagnosis, { directories, meteorInstall }) {
+  const job = new ConversionJob({
+    outputGeneralDirectory: '.',
+    otherPackageFolders: directories,
+    meteorInstall,
+  });
+  await Promise.all(directories.map(async (directory) => {
+    if (!await fs.pathExists(directory)) {
+      diagnosis.warning('package-js', `the package directory ${directory} does not exist`);
+    }
+  }));
+  const packageJsPaths = await job.getPackageJsPaths();
+  let failures = 0;
+  await Promise.all(Array.from(packageJsPaths.entries()).map(async ([meteorName, { packageJsPath, type }]) => {
+    const meteorPackage = new MeteorPackage({
+      meteorName,
+      isTest: false,
+      job,
+    });
+    try {
+      await meteorPackage.readDependenciesFromPacakgeJS(packageJsPath, type);
+    }
+    catch (e) {
+      failures += 1;
+      diagnosis.error('package-js', `${packageJsPath}: ${e.message}`);
+    }
+  }));
+  diagnosis.ok('package-js', `${packageJsPaths.size - failures} of ${packageJsPaths.size} package.js files evaluated`);
+}
+
+async function checkCatalogSnapshot(diagnosis, { meteorInstall }) {
+  const snapshotPath = catalogSnapshotPath();
+  try {
+    const versions = await getPackageVersions({ name: 'meteor', meteorInstall });
+    if (!versions.length) {
+      diagnosis.warning('catalog', `the catalog snapshot ${snapshotPath} has no versions of the meteor package, it may need to be exported again`);
+      return;
+    }
+    diagnosis.ok('catalog', `using the catalog snapshot ${snapshotPath}`);
+  }
+  catch (e) {
+    diagnosis.error('catalog', `the catalog snapshot ${snapshotPath} couldn't be read: ${e.message}`);
+  }
+}
+
+async function checkCatalog(diagnosis, { meteorInstall }) {
+  if (catalogSnapshotPath()) {
+    await checkCatalogSnapshot(diagnosis, { meteorInstall });
+    return;
+  }
+  const dbPath = packageDbPath(meteorInstall);
+  // we check this first because opening a missing sqlite DB will create an empty one
+  if (!await fs.pathExists(dbPath)) {
+    diagnosis.error('catalog', `${dbPath} does not exist, is meteor installed at ${meteorInstall}?`);
+    return;
+  }
+  try {
+    const versions = await getPackageVersions({ name: 'meteor', meteorInstall });
+    if (!versions.length) {
+      diagnosis.warning('catalog', `${dbPath} has no versions of the meteor package, it may need a refresh`);
+      return;
+    }
+    diagnosis.ok('catalog', `${dbPath} is readable`);
+  }
+  catch (e) {
+    diagnosis.error('catalog', `${dbPath} couldn't be read: ${e.message}`);
+  }
+}
+
+async function isInCatalog(meteorName, meteorInstall) {
+  try {
+    return (await getPackageVersions({ name: meteorName, meteorInstall })).length !== 0;
+  }
+  catch (e) {
+    // checkCatalog reports an unreadable catalog
+    return false;
+  }
+}
+
+// packages added to a classification list (e.g., commonJSPackages) in the project config must be local packages or in the catalog
+async function checkClassification(diagnosis, { directories, meteorInstall }) {
+  const job = new ConversionJob({
+    outputGeneralDirectory: '.',
+    otherPackageFolders: directories,
+    meteorInstall,
+  });
+  const packageJsPaths = await job.getPackageJsPaths();
+  const hasCatalog = !!catalogSnapshotPath() || await fs.pathExists(packageDbPath(meteorInstall));
+  const notLocal = unknownClassifiedPackages((meteorName) => packageJsPaths.has(meteorName));
+  const unknown = (await Promise.all(notLocal.map(async (entry) => (
+    hasCatalog && await isInCatalog(entry.meteorName, meteorInstall) ? undefined : entry
+  )))).filter(Boolean);
+  unknown.forEach(({ name, meteorName }) => {
+    diagnosis.error('classification', `classification.${name} refers to ${meteorName}, which isn't a local package or in the catalog`);
+  });
+  if (!unknown.length) {
+    diagnosis.ok('classification', 'every classified package exists');
+  }
+}
+
+async function checkNode(diagnosis) {
+  const major = parseInt(process.versions.node.split('.')[0], 10);
+  if (major > MaxNodeMajor) {
+    diagnosis.error('node', `node ${process.versions.node} doesn't support --experimental-specifier-resolution`);
+  }
+  else if (major !== SupportedNodeMajor) {
+    diagnosis.warning('node', `node ${process.versions.node} is untested, node ${SupportedNodeMajor} is recommended`);
+  }
+  else {
+    diagnosis.ok('node', `node ${process.versions.node}`);
+  }
+  if (isNativeAwait()) {
+    diagnosis.ok('node', 'fibers isn\'t needed (--native-await)');
+    return;
+  }
+  try {
+    await import('fibers');
+    diagnosis.ok('node', 'fibers is available');
+  }
+  catch (e) {
+    diagnosis.error('node', `fibers couldn't be loaded, the server won't start: ${e.message}`);
+  }
+}
+
+export default async function doctor({
+  directories = [],
+  meteorInstall,
+}) {
+  const diagnosis = new Diagnosis();
+  await checkMeteorFolder(diagnosis);
+  await checkMainModule(diagnosis);
+  await checkAppPackages(diagnosis);
+  await checkPackageJsFiles(diagnosis, { directories, meteorInstall });
+  await checkCatalog(diagnosis, { meteorInstall });
+  await checkClassification(diagnosis, { directories, meteorInstall });
+  await checkNode(diagnosis);
+  diagnosis.print();
+  return !diagnosis.hasErrors;
+}
@@ -0,0 +1,109 @@
+import fs from 'fs-extra';
+import { LeafArchs } from '../conversion/meteor-package';
+import { meteorNameToNodeName } from '../helpers/helpers';
+import { info } from '../helpers/log';
+import readAppPackages from './helpers/app-packages';
+import convertPackagesForApp from './convert-packages-for-app';
+import { loadPackageGraph, packageGraphFromJob, archGraph } from './helpers/package-graph';
+
+export const Formats = ['dot', 'json'];
+
+const EdgeStyles = {
+  strong: '',
+  weak: 'style=dashed',
+  unordered: 'style=dotted',
+  implied: 'style=bold, color=blue',
+};
+
+const NodeAttributeNames = ['lazy', 'prodOnly', 'debugOnly', 'testOnly'];
+
+function quote(str) {
+  return `"${str.replace(/"/g, '\\"')}"`;
+}
+
+function nodeToDot(node) {
+  const flags = NodeAttributeNames.filter((attributeName) => node[attributeName]);
+  const label = [`${node.name}${node.version ? `@${node.version}` : ''}`, ...flags].join('\\n');
+  const attributes = [`label=${quote(label)}`];
+  if (node.root) {
+    attributes.push('shape=box');
+  }
+  if (node.missing) {
+    attributes.push('style=dashed');
+  }
+  else if (flags.length) {
+    attributes.push('style=filled', 'fillcolor=lightgrey');
+  }
+  return `  ${quote(node.name)} [${attributes.join(', ')}];`;
+}
+
+function edgeToDot(edge) {
+  const attributes = [EdgeStyles[edge.kind], edge.constraint && `label=${quote(edge.constraint)}`].filter(Boolean);
+  return `  ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`;
+}
+
+// one digraph per arch, graphviz will render each of them (e.g., dot -Tsvg -O)
+function graphsToDot(archGraphs) {
+  return archGraphs.map(({ archName, nodes, edges }) => [
+    `digraph ${quote(archName)} {`,
+    `  label=${quote(archName)};`,
+    '  rankdir=LR;',
+    ...nodes.map(nodeToDot),
+    ...edges.map(edgeToDot),
+    '}',
+  ].join('\n')).join('\n\n');
+}
+
+export default async function graph({
+  format = 'dot',
+  file,
+  archs = LeafArchs,
+  convert = false,
+  extraPackages = [],
+  directories,
+  outputDirectory,
+  outputSharedDirectory,
+  outputLocalDirectory,
+  meteorInstall,
+}) {
+  if (!Formats.includes(format)) {
+    throw new Error(`unknown format ${format}, must be one of ${Formats.join(', ')}`);
+  }
+  const appPackages = await readAppPackages();
+  if (!appPackages) {
+    throw new Error('.meteor/packages is missing, graph must be run from the root of an app');
+  }
+  const roots = [
+    ...appPackages,
+    ...extraPackages.map((meteorName) => ({ nodeName: meteorNameToNodeName(meteorName) })),
+  ];
+  let packageGraph;
+  if (convert) {
+    const job = await convertPackagesForApp({
+      extraPackages,
+      outputDirectory,
+      outputSharedDirectory,
+      outputLocalDirectory,
+      directories,
+      updateDependencies: false,
+      meteorInstall,
+    });
+    packageGraph = packageGraphFromJob(job, roots.map(({ nodeName }) => nodeName));
+  }
+  else {
+    packageGraph = await loadPackageGraph(
+      roots,
+      [outputDirectory, outputSharedDirectory, outputLocalDirectory].filter(Boolean),
+    );
+  }
+  const archGraphs = archs.map((archName) => archGraph(packageGraph, archName));
+  const output = format === 'json'
+    ? JSON.stringify({ roots: packageGraph.roots, archs: archGraphs }, null, 2)
+    : graphsToDot(archGraphs);
+  if (file) {
+    await fs.writeFile(file, output);
+  }
+  else {
+    info(output);
+  }
+}
@@ -0,0 +1,27 @@
+import fs from 'fs-extra';
+import { ExcludePackageNames } from '../../constants';
+import { meteorNameToNodeName } from '../../helpers/helpers';
+
+// the app's direct dependencies as listed in .meteor/packages, excluding anything we never convert
+export default async function readAppPackages(packagesPath = '.meteor/packages') {
+  if (!await fs.pathExists(packagesPath)) {
+    return undefined;
+  }
+  return (await fs.readFile(packagesPath)).toString()
+    .split('\n')
+    .filter((line) => !line.startsWith('#'))
+    .map((line) => line.split('#')[0])
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((nameAndMaybeVersion) => {
+      const [meteorName, version] = nameAndMaybeVersion.split('@');
+      if (ExcludePackageNames.has(meteorName)) {
+        return undefined;
+      }
+      return {
+        nodeName: meteorNameToNodeName(meteorName),
+        version,
+      };
+    })
+    .filter(Boolean);
+}
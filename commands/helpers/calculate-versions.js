@@ -1,7 +1,88 @@
 import recurseMeteorNodePackages from './recurse-meteor-node-packages.js';
-import { meteorVersionToSemver, versionsAreCompatible } from '../../helpers/helpers.js';
+import toSolverConstraint from './solver-constraint.js';
+import { meteorNameToNodeName, meteorVersionToSemver, nodeNameToMeteorName } from '../../helpers/helpers.js';
 import { warn } from '../../helpers/log.js';
 
+async function loadConstraintSolver() {
+  // as in ConversionJob, the constraint solver relies on modern-browsers being loaded first
+  await import('@meteor/modern-browsers');
+  const { ConstraintSolver } = await import('@meteor/constraint-solver');
+  const versionParser = (await import('@meteor/package-version-parser')).default;
+  return { ConstraintSolver, versionParser };
+}
+
+// the same references MeteorPackage.versionRecord uses
+function referencesFor({ archs, weak }, implied) {
+  return (archs || ['client', 'server'])
+    .map((archName) => (archName === 'server' ? 'os' : archName))
+    .map((archName) => ({
+      arch: archName,
+      ...(weak && { weak: true }),
+      ...(implied && { implied: true }),
+    }));
+}
+
+// the versions of the converted packages we found (locally or in npm), in the shape the constraint solver expects a catalog to have
+class ConvertedPackagesCatalog {
+  // meteorName => Map(version => versionRecord)
+  #versionRecords = new Map();
+
+  #versionParser;
+
+  constructor(versionParser) {
+    this.#versionParser = versionParser;
+  }
+
+  // a package can be seen more than once for the same version (e.g., once for its uses and once for its testUses)
+  add(meteorName, version, uses, implies) {
+    if (!this.#versionRecords.has(meteorName)) {
+      this.#versionRecords.set(meteorName, new Map());
+    }
+    const versions = this.#versionRecords.get(meteorName);
+    if (!versions.has(version)) {
+      versions.set(version, { packageName: meteorName, version, dependencies: {} });
+    }
+    const { dependencies } = versions.get(version);
+    [
+      ...uses.filter(({ unordered }) => !unordered).map((use) => [use, false]),
+      ...implies.map((imply) => [imply, true]),
+    ].forEach(([dependency, implied]) => {
+      const depMeteorName = nodeNameToMeteorName(dependency.name);
+      if (!dependencies[depMeteorName]) {
+        dependencies[depMeteorName] = {
+          constraint: dependency.constraint ? toSolverConstraint(dependency.constraint) : null,
+          references: [],
+        };
+      }
+      dependencies[depMeteorName].references.push(...referencesFor(dependency, implied));
+    });
+  }
+
+  // weak dependencies on packages nobody converted are fine, but the solver would fail on the unknown package
+  #withKnownDependencies(versionRecord) {
+    return {
+      ...versionRecord,
+      dependencies: Object.fromEntries(Object.entries(versionRecord.dependencies)
+        .filter(([meteorName, { references }]) => this.#versionRecords.has(meteorName) || references.some(({ weak }) => !weak))),
+    };
+  }
+
+  getSortedVersionRecords(meteorName) {
+    const versions = this.#versionRecords.get(meteorName);
+    if (!versions) {
+      return [];
+    }
+    return Array.from(versions.values())
+      .sort((a, b) => this.#versionParser.compare(this.#versionParser.parse(a.version), this.#versionParser.parse(b.version)))
+      .map((versionRecord) => this.#withKnownDependencies(versionRecord));
+  }
+
+  getVersion(meteorName, version) {
+    const versionRecord = this.#versionRecords.get(meteorName)?.get(version);
+    return versionRecord ? this.#withKnownDependencies(versionRecord) : null;
+  }
+}
+
 function recursionFunction({
   nodeName,
   requestedVersion,
@@ -9,30 +90,18 @@ function recursionFunction({
   state,
   pathToLocal,
   evaluateTestPackage,
-  strongVersionsMap,
-  weakVersionsMap,
+  catalog,
   localPackages,
 }) {
-  let versionsMap = strongVersionsMap;
   if (pathToLocal) {
     localPackages.set(nodeName, pathToLocal);
   }
-  if (state.isWeak) {
-    versionsMap = weakVersionsMap;
-  }
-  if (!versionsMap.has(nodeName)) {
-    versionsMap.set(nodeName, new Set());
-  }
-  if (requestedVersion && !requestedVersion.startsWith('file:')) {
-    versionsMap.get(nodeName).add(requestedVersion);
-  }
   if (!json && state.isWeak) {
     return [];
   }
   if (!json) {
     throw new Error(`Couldn't resolve ${nodeName}@${requestedVersion}`);
   }
-  versionsMap.get(nodeName).add(json.version);
   const uses = evaluateTestPackage ? json.meteorTmp.testUses : json.meteorTmp.uses;
   if (!uses) {
     if (evaluateTestPackage) {
@@ -41,6 +110,7 @@ function recursionFunction({
     }
     throw new Error('no uses for: ' + nodeName);
   }
+  catalog.add(nodeNameToMeteorName(nodeName), json.version, uses, json.meteorTmp.implies);
   return [
     ...uses.map(({ name: depNodeName, constraint, weak, unordered }) => {
       if (unordered) {
@@ -59,12 +129,26 @@ function recursionFunction({
     })),
   ];
 }
+
+function topLevelConstraint({ nodeName, version }) {
+  if (!version || version.startsWith('file:') || version.startsWith('git')) {
+    return undefined;
+  }
+  const constraint = toSolverConstraint(version.replace(/^[\^~]/, ''));
+  return constraint ? `${nodeNameToMeteorName(nodeName)}@${constraint}` : undefined;
+}
+
+/**
+ * picks a version of every converted package the app needs with meteor's constraint solver
+ * @returns {Promise<{ finalVersions: Object<String, String>?, conflict: String? }>}
+ * finalVersions maps node names to versions (or file: paths for local packages), conflict explains why there isn't a solution
+ */
 export default async function calculateVersions(
   nodePackagesAndVersions,
   localDirs,
 ) {
-  const strongVersionsMap = new Map();
-  const weakVersionsMap = new Map();
+  const { ConstraintSolver, versionParser } = await loadConstraintSolver();
+  const catalog = new ConvertedPackagesCatalog(versionParser);
   const localPackages = new Map();
   await recurseMeteorNodePackages(
     nodePackagesAndVersions,
@@ -72,7 +156,6 @@ export default async function calculateVersions(
       nodeName,
       requestedVersion,
       json,
-      loadedChain,
       state,
       pathToLocal,
       evaluateTestPackage,
@@ -80,12 +163,10 @@ export default async function calculateVersions(
       nodeName,
       requestedVersion,
       json,
-      loadedChain,
       state,
       pathToLocal,
       evaluateTestPackage,
-      strongVersionsMap,
-      weakVersionsMap,
+      catalog,
       localPackages,
     }),
     {
@@ -93,37 +174,27 @@ export default async function calculateVersions(
     },
   );
 
-  weakVersionsMap.forEach((versions, name) => {
-    if (strongVersionsMap.has(name)) {
-      versions.forEach((version) => strongVersionsMap.get(name).add(version));
-    }
-  });
-
-  const versionsMap = strongVersionsMap;
-  const badVersions = [];
-  const finalVersions = {};
-  Array.from(versionsMap.entries()).forEach(([nodeName, versionsSet]) => {
-    const versions = Array.from(versionsSet);
-    let [versionToUse] = versions;
-    if (localPackages.has(nodeName)) {
-      versionToUse = `file:${localPackages.get(nodeName)}`;
-    }
-
-    if (versionsSet.size === 1) {
-      finalVersions[nodeName] = versionToUse;
-      return;
-    }
-    const matching = versions.filter((version) => versions.every((versionToSatisfy) => versionsAreCompatible(version, versionToSatisfy)));
-    if (!matching.length) {
-      badVersions.push({ nodeName, versions });
-    }
-    if (!localPackages.has(nodeName)) {
-      versionToUse = matching.slice(-1)[0];
+  const resolver = new ConstraintSolver.PackagesResolver(catalog);
+  let answer;
+  try {
+    ({ answer } = resolver.resolve(
+      nodePackagesAndVersions.map(({ nodeName }) => nodeNameToMeteorName(nodeName)),
+      nodePackagesAndVersions
+        .map((nodePackageAndVersion) => topLevelConstraint(nodePackageAndVersion))
+        .filter(Boolean)
+        .map((constraint) => new versionParser.PackageConstraint(constraint)),
+    ));
+  }
+  catch (e) {
+    if (!e.constraintSolverError) {
+      throw e;
     }
-    finalVersions[nodeName] = versionToUse;
-  });
+    return { conflict: e.message };
+  }
   return {
-    finalVersions,
-    badVersions,
+    finalVersions: Object.fromEntries(Object.entries(answer).map(([meteorName, version]) => {
+      const nodeName = meteorNameToNodeName(meteorName);
+      return [nodeName, localPackages.has(nodeName) ? `file:${localPackages.get(nodeName)}` : version];
+    })),
   };
 }
@@ -0,0 +1,172 @@
+import { ParentArchs } from '../../constants';
+import { meteorVersionToSemver } from '../../helpers/helpers';
+import recurseMeteorNodePackages from './recurse-meteor-node-packages';
+
+// an arch matches a use/imply if the use was declared against it, or any of its parents (e.g., client matches web.browser)
+function archAndParents(archName) {
+  const ret = [archName];
+  let current = archName;
+  while (ParentArchs.has(current)) {
+    current = ParentArchs.get(current);
+    ret.push(current);
+  }
+  return ret;
+}
+
+export function edgeAppliesToArch({ archs }, archName) {
+  if (!archs?.length) {
+    return true;
+  }
+  const matchingArchs = archAndParents(archName);
+  return archs.some((edgeArchName) => matchingArchs.includes(edgeArchName));
+}
+
+export function nodeAttributesFromJson(json) {
+  const mainExport = json.exports?.['.'] || {};
+  return {
+    lazy: !!json.meteorTmp?.lazy,
+    prodOnly: !!mainExport.production,
+    // debugOnly and devOnly packages are both written with the development condition
+    debugOnly: !!mainExport.development,
+    testOnly: !!mainExport.test,
+  };
+}
+
+// implied packages are also written to meteorTmp.uses (as unordered), so we fold them into a single edge
+export function edgesFromJson(json) {
+  const edges = (json.meteorTmp?.uses || []).map(({
+    name,
+    constraint,
+    archs,
+    weak,
+    unordered,
+  }) => ({
+    from: json.name,
+    to: name,
+    constraint,
+    archs,
+    weak: !!weak,
+    unordered: !!unordered,
+    implied: false,
+  }));
+  (json.meteorTmp?.implies || []).forEach(({ name, constraint, archs }) => {
+    const existing = edges.find((edge) => edge.to === name
+      && !edge.implied
+      && edge.unordered
+      && JSON.stringify(edge.archs) === JSON.stringify(archs));
+    if (existing) {
+      existing.implied = true;
+      return;
+    }
+    edges.push({
+      from: json.name,
+      to: name,
+      constraint,
+      archs,
+      weak: false,
+      unordered: true,
+      implied: true,
+    });
+  });
+  return edges;
+}
+
+/**
+ * @param {[{ nodeName: String, version: String }]} nodePackagesAndVersions the app's direct packages
+ * @param {[String]} localDirs the directories converted packages were written to
+ * @returns {{ roots: [String], packages: Map<String, Object> }} the package.json of every meteor package reachable from the roots
+ */
+export async function loadPackageGraph(nodePackagesAndVersions, localDirs) {
+  const packages = new Map();
+  await recurseMeteorNodePackages(
+    nodePackagesAndVersions,
+    ({ nodeName, json }) => {
+      if (packages.has(nodeName)) {
+        return [];
+      }
+      packages.set(nodeName, json);
+      // unlike getFinalPackageListForArch we follow weak edges too, a weak package that can't be found is just skipped
+      return edgesFromJson(json).map(({ to, constraint, weak }) => ({
+        nodeName: to,
+        version: constraint && meteorVersionToSemver(constraint),
+        newState: { isWeak: weak },
+      }));
+    },
+    { localDirs },
+  );
+  return {
+    roots: nodePackagesAndVersions.map(({ nodeName }) => nodeName),
+    packages,
+  };
+}
+
+export function edgesForArch({ packages }, archName) {
+  const ret = new Map();
+  packages.forEach((json, nodeName) => {
+    ret.set(nodeName, edgesFromJson(json).filter((edge) => edgeAppliesToArch(edge, archName)));
+  });
+  return ret;
+}
+
+// the same shape as loadPackageGraph, but from the packages held by a conversion job rather than the converted output
+export function packageGraphFromJob(job, roots) {
+  const packages = new Map(job.getAllLoaded().map((meteorPackage) => {
+    const json = meteorPackage.getPackageJson();
+    return [json.name, json];
+  }));
+  return {
+    roots,
+    packages,
+  };
+}
+
+function edgeKind({ weak, unordered, implied }) {
+  if (implied) {
+    return 'implied';
+  }
+  if (weak) {
+    return 'weak';
+  }
+  if (unordered) {
+    return 'unordered';
+  }
+  return 'strong';
+}
+
+/**
+ * @returns {{ archName: String, nodes: [Object], edges: [{ from: String, to: String, constraint: String, kind: String }] }}
+ * only the packages reachable from the roots in this arch are included
+ */
+export function archGraph(graph, archName) {
+  const edgesMap = edgesForArch(graph, archName);
+  const reachable = new Set();
+  const toVisit = graph.roots.slice(0);
+  while (toVisit.length) {
+    const nodeName = toVisit.pop();
+    if (!reachable.has(nodeName)) {
+      reachable.add(nodeName);
+      (edgesMap.get(nodeName) || []).forEach(({ to }) => toVisit.push(to));
+    }
+  }
+  const reachableNames = Array.from(reachable).sort();
+  return {
+    archName,
+    nodes: reachableNames.map((nodeName) => {
+      const json = graph.packages.get(nodeName);
+      return {
+        name: nodeName,
+        version: json?.version,
+        root: graph.roots.includes(nodeName),
+        // weak dependencies that were never converted won't have a package.json
+        missing: !json,
+        ...(json && nodeAttributesFromJson(json)),
+      };
+    }),
+    edges: reachableNames.flatMap((nodeName) => (edgesMap.get(nodeName) || []).map((edge) => ({
+      from: edge.from,
+      to: edge.to,
+      constraint: edge.constraint,
+      kind: edgeKind(edge),
+    }))),
+  };
+}
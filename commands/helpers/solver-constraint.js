@@ -0,0 +1,29 @@
+import semver from 'semver';
+
+// meteor's own version syntax, X.Y.Z (optionally with a prerelease, wrap number and build) or =X.Y.Z
+const MeteorConstraintPattern = /^=?\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(_\d+)?(\+[0-9A-Za-z.-]+)?$/;
+
+// a meteor constraint, or the version a node range (e.g. >=1.2) starts from. Null if it doesn't constrain the version at all (*, tags)
+function toMeteorConstraint(alternative) {
+  if (MeteorConstraintPattern.test(alternative)) {
+    return alternative;
+  }
+  return semver.coerce(alternative)?.version || null;
+}
+
+/**
+ * the constraint as PackagesResolver should see it. Meteor constraints already mean "X.Y.Z or anything compatible with it"
+ * (or exactly X.Y.Z with =), but the solver only accepts the same major - meteor treats 0.x as compatible with 1.x,
+ * so a 0.x constraint accepts any 1.x too
+ * @param {String} constraint e.g., 1.4.2, =1.4.2, 0.9.0 || 2.0.0 or a node range
+ * @returns {String?} null if the constraint doesn't constrain the version at all
+ */
+export default function toSolverConstraint(constraint) {
+  const alternatives = constraint.split(/\s*\|\|\s*/).map(toMeteorConstraint);
+  if (!alternatives.every(Boolean)) {
+    return null;
+  }
+  return Array.from(new Set(alternatives.flatMap((alternative) => (
+    !alternative.startsWith('=') && semver.coerce(alternative).major === 0 ? [alternative, '1.0.0'] : [alternative]
+  )))).join(' || ');
+}
@@ -0,0 +1,159 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { baseBuildFolder } from '../helpers/base-folder';
+import { info, notify, warn } from '../helpers/log';
+import readPackageJson from '../helpers/read-package-json';
+import convertPackagesForApp from './convert-packages-for-app';
+import buildMain from './build-main';
+import npmInstall from './helpers/npm-install';
+
+const checkpointPath = path.join(baseBuildFolder, 'migrate-checkpoint.json');
+
+const Envs = ['server', 'client'];
+
+async function readCheckpoint(restart) {
+  if (restart || !await fs.pathExists(checkpointPath)) {
+    return { completed: [] };
+  }
+  return JSON.parse((await fs.readFile(checkpointPath)).toString());
+}
+
+async function writeCheckpoint(checkpoint) {
+  await fs.ensureDir(path.dirname(checkpointPath));
+  await fs.writeFile(checkpointPath, JSON.stringify(checkpoint, null, 2));
+}
+
+// the checkpoint is only useful while a migration is in progress, once it's complete a re-run should start over
+async function clearCheckpoint() {
+  if (await fs.pathExists(checkpointPath)) {
+    await fs.unlink(checkpointPath);
+  }
+}
+
+// as generate-main -u does, main.js is regenerated every time so it imports any files added since. It only becomes the mainModule if there isn't one
+async function generateMain(env) {
+  await buildMain({ env, update: true });
+  const mainModule = `${env}/main.js`;
+  const packageJson = await readPackageJson();
+  if (packageJson.meteor?.mainModule?.[env]) {
+    return `updated ${mainModule} (the mainModule is ${packageJson.meteor.mainModule[env]})`;
+  }
+  packageJson.meteor = {
+    ...packageJson.meteor,
+    mainModule: {
+      ...packageJson.meteor?.mainModule,
+      [env]: mainModule,
+    },
+  };
+  await fs.writeFile('./package.json', JSON.stringify(packageJson, null, 2));
+  return `generated ${mainModule} and made it the mainModule`;
+}
+
+function summarizePackageJson(dependenciesBefore = {}, dependenciesAfter = {}) {
+  const lines = [];
+  Object.entries(dependenciesAfter).forEach(([name, version]) => {
+    if (!dependenciesBefore[name]) {
+      lines.push(`  + ${name}@${version}`);
+    }
+    else if (dependenciesBefore[name] !== version) {
+      lines.push(`  ~ ${name}@${dependenciesBefore[name]} -> ${version}`);
+    }
+  });
+  Object.keys(dependenciesBefore).forEach((name) => {
+    if (!dependenciesAfter[name]) {
+      lines.push(`  - ${name}`);
+    }
+  });
+  return lines.length ? lines : ['  (unchanged)'];
+}
+
+async function summarizeDependenciesFile(env) {
+  const filePath = `./${env}/dependencies.js`;
+  if (!await fs.pathExists(filePath)) {
+    return ['  (not written)'];
+  }
+  const lines = (await fs.readFile(filePath)).toString().split('\n');
+  const imported = lines
+    .map((line) => line.match(/^import .*["']([^"']+)["'];?$/)?.[1])
+    .filter(Boolean);
+  const globals = lines.filter((line) => line.trim().startsWith('globalThis.'));
+  return [
+    `  ${imported.length} imports, ${globals.length} globals`,
+    ...imported.map((nodeName) => `    ${nodeName}`),
+  ];
+}
+
+export default async function migrate({
+  extraPackages,
+  directories,
+  outputDirectory,
+  outputSharedDirectory,
+  outputLocalDirectory,
+  meteorInstall,
+  forceRefresh,
+  jobs,
+  dependenciesKey,
+  restart = false,
+}) {
+  const checkpoint = await readCheckpoint(restart);
+  if (checkpoint.completed.length) {
+    notify(`resuming migration, already completed: ${checkpoint.completed.join(', ')}`);
+  }
+  if (!checkpoint.dependenciesBefore) {
+    const packageJson = await readPackageJson();
+    checkpoint.dependenciesBefore = packageJson[dependenciesKey || 'dependencies'] || {};
+    await writeCheckpoint(checkpoint);
+  }
+  // each step corresponds to one of the commands in the getting started section of the README
+  const steps = [
+    ['convert-deps', () => convertPackagesForApp({
+      extraPackages,
+      outputDirectory,
+      outputSharedDirectory,
+      outputLocalDirectory,
+      directories,
+      updateDependencies: true,
+      meteorInstall,
+      forceRefresh,
+      jobs,
+      // updating the dependencies also writes the peer dependencies
+      dependenciesKey,
+    })],
+    ...Envs.map((env) => [`generate-main:${env}`, () => generateMain(env)]),
+    ['npm-install', () => npmInstall()],
+  ];
+
+  checkpoint.results = checkpoint.results || {};
+  // one at a time, each step needs the ones before it
+  await steps
+    .filter(([stepName]) => !checkpoint.completed.includes(stepName))
+    .reduce(async (previousStep, [stepName, step]) => {
+      await previousStep;
+      notify(`migrate: ${stepName}`);
+      try {
+        const result = await step();
+        if (typeof result === 'string') {
+          checkpoint.results[stepName] = result;
+        }
+      }
+      catch (e) {
+        warn(`migrate failed during ${stepName}, re-run migrate to resume from this step (or pass --restart to start over)`);
+        throw e;
+      }
+      checkpoint.completed.push(stepName);
+      await writeCheckpoint(checkpoint);
+    }, Promise.resolve());
+
+  const packageJson = await readPackageJson();
+  const summary = [
+    'package.json:',
+    ...summarizePackageJson(checkpoint.dependenciesBefore, packageJson[dependenciesKey || 'dependencies']),
+    ...Envs.map((env) => checkpoint.results[`generate-main:${env}`]).filter(Boolean).map((result) => `  ${result}`),
+    ...(await Promise.all(Envs.map(async (env) => [
+      `${env}/dependencies.js:`,
+      ...await summarizeDependenciesFile(env),
+    ]))).flat(),
+  ];
+  info(summary.join('\n'));
+  await clearCheckpoint();
+}
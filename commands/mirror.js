@@ -0,0 +1,71 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { notify, warn } from '../helpers/log';
+import { getPackageVersionBuild } from '../helpers/ensure-local-package';
+import { mirrorTarball } from '../helpers/package-mirror';
+
+// package names can't contain _, so the legacy package dir (see meteorNameToLegacyPackageDir) maps back to exactly one name
+function legacyPackageDirToMeteorName(dirName) {
+  return dirName.replace(/_/g, ':');
+}
+
+// every version of every isopack in the meteor install
+async function installedIsopacks(meteorInstall) {
+  const packagesDir = path.join(meteorInstall, 'packages');
+  if (!await fs.pathExists(packagesDir)) {
+    throw new Error(`${packagesDir} does not exist, is meteor installed at ${meteorInstall}?`);
+  }
+  const packageDirNames = (await fs.readdir(packagesDir)).filter((dirName) => !dirName.startsWith('.'));
+  return (await Promise.all(packageDirNames.map(async (dirName) => {
+    const packageDir = path.join(packagesDir, dirName);
+    if (!(await fs.stat(packageDir)).isDirectory()) {
+      return [];
+    }
+    const versions = (await fs.readdir(packageDir)).filter((version) => !version.startsWith('.'));
+    return versions.map((version) => ({ name: legacyPackageDirToMeteorName(dirName), version }));
+  }))).flat();
+}
+
+// true if the isopack's warehouse tarball was added to the mirror
+async function mirrorIsopack({
+  name,
+  version,
+  directory,
+  meteorInstall,
+}) {
+  const versionBuild = await getPackageVersionBuild({ name, version, meteorInstall });
+  if (!versionBuild) {
+    warn(`${name}@${version} isn't in the catalog (or has more than one build), it can't be mirrored`);
+    return false;
+  }
+  try {
+    return await mirrorTarball(versionBuild.packageVersionBuildObject, directory);
+  }
+  catch (err) {
+    warn(`${name}@${version} wasn't mirrored: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * downloads the warehouse tarball of every isopack already in the meteor install into the package mirror,
+ * each one is checked against the hash in its build record before it's added so they can be installed on machines without network access
+ */
+export default async function mirror({
+  directory,
+  meteorInstall,
+  packages,
+}) {
+  if (!directory) {
+    throw new Error('no package mirror to populate, pass a directory or configure packageMirror');
+  }
+  await fs.ensureDir(directory);
+  const wantedPackages = packages?.length && new Set(packages);
+  const isopacks = (await installedIsopacks(meteorInstall)).filter(({ name }) => !wantedPackages || wantedPackages.has(name));
+  // one at a time, the tarballs can be large
+  const mirroredCount = await isopacks.reduce(
+    async (countSoFar, isopack) => (await countSoFar) + (await mirrorIsopack({ ...isopack, directory, meteorInstall }) ? 1 : 0),
+    Promise.resolve(0),
+  );
+  notify(`mirrored ${mirroredCount} new isopacks to ${directory} (${isopacks.length - mirroredCount} were already there or skipped)`);
+}
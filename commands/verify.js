@@ -0,0 +1,367 @@
+import esbuild from 'esbuild';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { LeafArchs } from '../conversion/meteor-package';
+import { parseContentsToAST } from '../conversion/ast/index.js';
+import { unresolvedGlobals } from '../conversion/globals.js';
+import { baseBuildFolder } from '../helpers/base-folder';
+import { nodeNameToMeteorName, resolveExportTarget } from '../helpers/helpers';
+import { info, notify, error as logError } from '../helpers/log';
+import readPackageJson from '../helpers/read-package-json';
+import staticFile from '../helpers/static-file.js';
+import { generateConfigJson } from '../build-run/server/generate-server';
+import { ClientExternals, clientDefines } from '../build-run/client/generate-web-browser';
+import blazePlugin from '../build-run/client/blaze-plugin.js';
+import lessPlugin from '../build-run/client/less-plugin.js';
+import stubsPlugin from '../build-run/client/stubs-plugin.js';
+import addJsExtension from '../build-run/client/add-js-extension';
+import compilerPlugin from '../build-run/build-plugins/compiler-plugin.js';
+import { AppProcess } from './dev-run';
+import { edgeAppliesToArch } from './helpers/package-graph';
+
+const ProblemKinds = {
+  UNRESOLVED_IDENTIFIER: 'unresolved identifier',
+  MISSING_EXPORT: 'missing export',
+  RESOLUTION_FAILURE: 'resolution failure',
+  LOAD_ERROR: 'load error',
+};
+
+// a server entry that takes longer than this to load is probably waiting on something (e.g., a database) that will never come
+const ServerTimeoutMs = 60000;
+
+// every package is verified regardless of whether it's prodOnly, debugOnly or testOnly
+const EntryConditions = ['import', 'production', 'development', 'test'];
+
+const ServerStaticFiles = ['pre-boot.js', 'assets.js', 'create-assets.js', 'verify-server.js'];
+
+// node's (and esbuild's) way of saying an import couldn't be found, or didn't have what was imported
+const ResolutionErrorCodes = new Set(['ERR_MODULE_NOT_FOUND', 'ERR_PACKAGE_PATH_NOT_EXPORTED', 'ERR_UNSUPPORTED_DIR_IMPORT']);
+const ResolutionErrorMessage = /does not provide an export named|Could not resolve|No matching export/;
+
+function exportArchName(archName) {
+  return archName === 'server' ? 'node' : archName;
+}
+
+// every converted package (a package.json with a meteorTmp) in the output directories, the first directory with a package wins
+async function findConvertedPackages(localDirs) {
+  const packagesByDir = await Promise.all(localDirs.map(async (localDir) => {
+    if (!await fs.pathExists(localDir)) {
+      return [];
+    }
+    const folderNames = (await Promise.all((await fs.readdir(localDir)).map(async (folderName) => (
+      folderName.startsWith('@')
+        ? (await fs.readdir(path.join(localDir, folderName))).map((scopedName) => `${folderName}/${scopedName}`)
+        : [folderName]
+    )))).flat();
+    return (await Promise.all(folderNames.map(async (folderName) => {
+      const packageDir = path.resolve(localDir, folderName);
+      if (!await fs.pathExists(`${packageDir}/package.json`)) {
+        return undefined;
+      }
+      const json = await readPackageJson(`${packageDir}/package.json`);
+      return json.meteorTmp ? { packageDir, json } : undefined;
+    }))).filter(Boolean);
+  }));
+  const ret = new Map();
+  packagesByDir.flat().forEach(({ packageDir, json }) => {
+    if (!ret.has(json.name)) {
+      ret.set(json.name, { packageDir, json });
+    }
+  });
+  return ret;
+}
+
+function entryForArch(json, archName) {
+  const entry = resolveExportTarget(json.exports?.['.'], [exportArchName(archName), ...EntryConditions]);
+  return entry && entry !== './__noop.js' ? entry : undefined;
+}
+
+function exportedNamesForArch(json, archName) {
+  const { exportedVars = [] } = json.meteorTmp;
+  if (!Array.isArray(exportedVars)) {
+    // deprecated, { [archName]: [name] }
+    return Object.entries(exportedVars)
+      .filter(([exportArch]) => edgeAppliesToArch({ archs: [exportArch] }, archName))
+      .flatMap(([, names]) => names);
+  }
+  return exportedVars
+    .filter((exportedVar) => !exportedVar.testOnly && edgeAppliesToArch(exportedVar, archName))
+    .map(({ name }) => name);
+}
+
+function problemForError({ name, code, message }) {
+  if (ResolutionErrorCodes.has(code) || ResolutionErrorMessage.test(message)) {
+    return { kind: ProblemKinds.RESOLUTION_FAILURE, message };
+  }
+  if (name === 'ReferenceError') {
+    return { kind: ProblemKinds.UNRESOLVED_IDENTIFIER, message };
+  }
+  return { kind: ProblemKinds.LOAD_ERROR, message };
+}
+
+// only the package's own files are checked for unresolved identifiers, its dependencies are verified on their own
+function ownFilesOnly() {
+  return {
+    name: 'verify-own-files',
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, ({ path: importPath, kind }) => {
+        if (kind === 'entry-point' || (importPath.startsWith('.') && /(\.[mc]?js|\/[^.]*)$/.test(importPath))) {
+          return undefined;
+        }
+        return { path: importPath, external: true };
+      });
+    },
+  };
+}
+
+async function findUnresolvedIdentifiers(packageDir, entryPath, archName, isCommon) {
+  let metafile;
+  try {
+    ({ metafile } = await esbuild.build({
+      absWorkingDir: process.cwd(),
+      entryPoints: [entryPath],
+      bundle: true,
+      write: false,
+      metafile: true,
+      outdir: path.join(baseBuildFolder, 'verify', archName),
+      format: 'esm',
+      logLevel: 'silent',
+      plugins: [ownFilesOnly()],
+    }));
+  }
+  catch (e) {
+    // the import checks report these
+    return [];
+  }
+  const files = Object.keys(metafile.inputs)
+    .map((input) => path.resolve(input))
+    .filter((file) => file.startsWith(`${packageDir}/`) && !file.includes('/node_modules/'));
+  return (await Promise.all(files.map(async (file) => {
+    const relativeFile = path.relative(packageDir, file);
+    let ast;
+    try {
+      ast = parseContentsToAST((await fs.readFile(file)).toString(), { raw: true });
+    }
+    catch (e) {
+      return [{ kind: ProblemKinds.LOAD_ERROR, message: `${relativeFile} couldn't be parsed: ${e.message}` }];
+    }
+    return Array.from(unresolvedGlobals(ast, isCommon)).map((name) => ({
+      kind: ProblemKinds.UNRESOLVED_IDENTIFIER,
+      message: `${name} in ${relativeFile}`,
+    }));
+  }))).flat();
+}
+
+async function prepareServerFolder(verifyFolder) {
+  await fs.ensureDir(verifyFolder);
+  const config = await generateConfigJson({ archs: [] });
+  await Promise.all([
+    ...ServerStaticFiles.map((fileName) => fs.copyFile(staticFile(fileName), path.join(verifyFolder, fileName))),
+    fs.writeFile(path.join(verifyFolder, 'config.json'), JSON.stringify(config, null, 2)),
+    // the app's server folder gets this from the app's package.json
+    fs.writeFile(path.join(verifyFolder, 'package.json'), JSON.stringify({ type: 'module' }, null, 2)),
+  ]);
+}
+
+// the entry is imported in a child process, started the same way as the app's server, so nothing it does can leak into another package's check
+function loadServerEntry(verifyFolder, entryPath, exportedNames) {
+  return new Promise((resolve) => {
+    const child = spawn(
+      'node',
+      [
+        ...AppProcess.constantNodeArgs,
+        'verify-server.js',
+        pathToFileURL(entryPath).href,
+        JSON.stringify(exportedNames),
+      ],
+      {
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+        env: {
+          ...process.env,
+          NODE_ENV: 'development',
+        },
+        cwd: path.resolve(verifyFolder),
+      },
+    );
+    let output = '';
+    let result;
+    child.stdout.on('data', (data) => {
+      output += data;
+    });
+    child.stderr.on('data', (data) => {
+      output += data;
+    });
+    child.on('message', (message) => {
+      result = message;
+    });
+    const timeout = setTimeout(() => child.kill(), ServerTimeoutMs);
+    child.on('close', (code, signal) => {
+      clearTimeout(timeout);
+      if (result) {
+        resolve(result);
+        return;
+      }
+      // the stack trace isn't much use, it's all node internals
+      const lastOutput = output.trim().split('\n')
+        .filter((line) => !/^\s+at /.test(line))
+        .slice(-5)
+        .join('\n');
+      resolve({
+        error: {
+          message: signal
+            ? `didn't load within ${ServerTimeoutMs / 1000}s`
+            : `the process exited (${code}) before the package loaded${lastOutput ? `:\n${lastOutput}` : ''}`,
+        },
+      });
+    });
+  });
+}
+
+// packages often only set their exports on startup (or first use), so an export that's still undefined once the entry is loaded is just a warning
+async function verifyServer(verifyFolder, entryPath, exportedNames) {
+  const { error, notExported = [], undefinedExports = [] } = await loadServerEntry(verifyFolder, entryPath, exportedNames);
+  if (error) {
+    return { problems: [problemForError(error)], undefinedExports: [] };
+  }
+  return {
+    problems: notExported.map((name) => ({ kind: ProblemKinds.MISSING_EXPORT, message: `${name} isn't exported` })),
+    undefinedExports,
+  };
+}
+
+// the entry is bundled the way the client build would bundle it, nothing is written
+async function verifyClient(entryPath, archName, exportedNames) {
+  const buildRoot = path.resolve('./');
+  let metafile;
+  try {
+    ({ metafile } = await esbuild.build({
+      absWorkingDir: process.cwd(),
+      entryPoints: [entryPath],
+      bundle: true,
+      write: false,
+      metafile: true,
+      outdir: path.join(baseBuildFolder, 'verify', archName),
+      format: 'esm',
+      conditions: ['development', archName],
+      external: ClientExternals,
+      logLevel: 'silent',
+      define: clientDefines(archName),
+      plugins: [
+        blazePlugin(),
+        lessPlugin(),
+        compilerPlugin({ arch: archName, isProduction: false }),
+        stubsPlugin(buildRoot),
+        addJsExtension(buildRoot),
+      ],
+    }));
+  }
+  catch (e) {
+    return {
+      problems: (e.errors || [{ text: e.message }]).map(({ text, location }) => problemForError({
+        message: location ? `${text} (${location.file}:${location.line})` : text,
+      })),
+      undefinedExports: [],
+    };
+  }
+  const entryOutput = Object.values(metafile.outputs).find(({ entryPoint }) => entryPoint);
+  const exported = new Set(entryOutput?.exports || []);
+  return {
+    problems: exportedNames
+      .filter((name) => !exported.has(name))
+      .map((name) => ({ kind: ProblemKinds.MISSING_EXPORT, message: `${name} isn't exported` })),
+    // the bundle isn't run, so there's no telling what's undefined
+    undefinedExports: [],
+  };
+}
+
+// a row per package, pass or FAIL per arch and the exports that were undefined once loaded (on any arch)
+function printTable(results, archs) {
+  const rows = [
+    ['package', ...archs, 'undefined exports'],
+    ...Array.from(results.entries()).map(([meteorName, byArch]) => [
+      meteorName,
+      ...archs.map((archName) => {
+        const result = byArch.get(archName);
+        if (!result) {
+          return '-';
+        }
+        return result.problems.length ? 'FAIL' : 'pass';
+      }),
+      Array.from(new Set(Array.from(byArch.values()).flatMap(({ undefinedExports }) => undefinedExports))).join(', ') || '-',
+    ]),
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  rows.forEach((row, i) => {
+    info(row.map((cell, column) => cell.padEnd(widths[column])).join('  '));
+    if (i === 0) {
+      info(widths.map((width) => '-'.repeat(width)).join('  '));
+    }
+  });
+}
+
+async function verifyArch(verifyFolder, { packageDir, json }, archName) {
+  const entryPath = path.join(packageDir, entryForArch(json, archName));
+  const exportedNames = exportedNamesForArch(json, archName);
+  const [{ problems, undefinedExports }, identifierProblems] = await Promise.all([
+    archName === 'server'
+      ? verifyServer(verifyFolder, entryPath, exportedNames)
+      : verifyClient(entryPath, archName, exportedNames),
+    findUnresolvedIdentifiers(packageDir, entryPath, archName, json.type === 'commonjs'),
+  ]);
+  return { problems: [...problems, ...identifierProblems], undefinedExports };
+}
+
+/**
+ * imports the entry point of every converted package, for each leaf arch, on its own
+ * @returns {Promise<Boolean>} whether every package loaded with no problems
+ */
+export default async function verify({
+  localDirs,
+  packages,
+  archs = LeafArchs,
+}) {
+  const convertedPackages = await findConvertedPackages(localDirs);
+  const nodeNames = Array.from(convertedPackages.keys())
+    .filter((nodeName) => !packages?.length || packages.includes(nodeNameToMeteorName(nodeName)))
+    .sort();
+  const verifyFolder = path.join(baseBuildFolder, 'verify');
+  if (archs.includes('server')) {
+    await prepareServerFolder(verifyFolder);
+  }
+
+  const results = new Map();
+  // one at a time, each check can be expensive (a node process or a full client bundle)
+  await nodeNames.reduce(async (previous, nodeName) => {
+    await previous;
+    const converted = convertedPackages.get(nodeName);
+    const byArch = new Map();
+    results.set(nodeNameToMeteorName(nodeName), byArch);
+    await archs
+      .filter((archName) => entryForArch(converted.json, archName))
+      .reduce(async (previousArch, archName) => {
+        await previousArch;
+        byArch.set(archName, await verifyArch(verifyFolder, converted, archName));
+      }, Promise.resolve());
+  }, Promise.resolve());
+
+  printTable(results, archs);
+  let failures = 0;
+  results.forEach((byArch, meteorName) => {
+    byArch.forEach(({ problems }, archName) => {
+      if (!problems.length) {
+        return;
+      }
+      failures += 1;
+      logError(`${meteorName} (${archName}):`);
+      problems.forEach(({ kind, message }) => logError(`  [${kind}] ${message}`));
+    });
+  });
+  if (failures) {
+    logError(`${failures} package/arch combination${failures === 1 ? '' : 's'} failed`);
+    return false;
+  }
+  notify(`${results.size} packages verified`);
+  return true;
+}
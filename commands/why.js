@@ -0,0 +1,108 @@
+import { LeafArchs } from '../conversion/meteor-package';
+import { meteorNameToNodeName, nodeNameToMeteorName } from '../helpers/helpers';
+import { info, warn } from '../helpers/log';
+import readAppPackages from './helpers/app-packages';
+import { loadPackageGraph, edgesForArch, nodeAttributesFromJson } from './helpers/package-graph';
+
+// large apps can have an absurd number of paths to common packages (e.g., meteor), nobody wants to read them all
+const MaxPathsPerArch = 50;
+
+// every package that can reach the target, so we don't walk the parts of the graph that can't
+function packagesReachingTarget(edgesMap, target) {
+  const reversed = new Map();
+  edgesMap.forEach((edges) => {
+    edges.forEach(({ from, to }) => {
+      if (!reversed.has(to)) {
+        reversed.set(to, new Set());
+      }
+      reversed.get(to).add(from);
+    });
+  });
+  const ret = new Set([target]);
+  const toVisit = [target];
+  while (toVisit.length) {
+    const nodeName = toVisit.pop();
+    (reversed.get(nodeName) || []).forEach((from) => {
+      if (!ret.has(from)) {
+        ret.add(from);
+        toVisit.push(from);
+      }
+    });
+  }
+  return ret;
+}
+
+function findPaths(edgesMap, roots, target) {
+  const reachesTarget = packagesReachingTarget(edgesMap, target);
+  const paths = [];
+  let truncated = false;
+  function visit(chain, seen) {
+    if (paths.length >= MaxPathsPerArch) {
+      truncated = true;
+      return;
+    }
+    const { to: nodeName } = chain[chain.length - 1];
+    if (nodeName === target) {
+      paths.push(chain);
+      return;
+    }
+    (edgesMap.get(nodeName) || []).forEach((edge) => {
+      if (seen.has(edge.to) || !reachesTarget.has(edge.to)) {
+        return;
+      }
+      visit([...chain, edge], new Set([...seen, edge.to]));
+    });
+  }
+  roots
+    .filter((nodeName) => reachesTarget.has(nodeName))
+    .forEach((nodeName) => visit([{ to: nodeName }], new Set([nodeName])));
+  return { paths, truncated };
+}
+
+function edgeMarkers(edge, packages) {
+  const attributes = packages.has(edge.to) ? nodeAttributesFromJson(packages.get(edge.to)) : {};
+  return [
+    edge.weak && 'weak',
+    edge.unordered && !edge.implied && 'unordered',
+    edge.implied && 'implied',
+    attributes.prodOnly && 'prodOnly',
+    attributes.debugOnly && 'devOnly',
+  ].filter(Boolean);
+}
+
+function pathToString(chain, packages) {
+  return ['.meteor/packages', ...chain.map((edge, i) => {
+    const meteorName = nodeNameToMeteorName(edge.to);
+    const markers = i === 0 ? [] : edgeMarkers(edge, packages);
+    return markers.length ? `${meteorName} (${markers.join(', ')})` : meteorName;
+  })].join(' -> ');
+}
+
+export default async function why({
+  meteorName,
+  localDirs,
+  archs = LeafArchs,
+}) {
+  const target = meteorNameToNodeName(meteorName);
+  const appPackages = await readAppPackages();
+  if (!appPackages) {
+    throw new Error('.meteor/packages is missing, why must be run from the root of an app');
+  }
+  const graph = await loadPackageGraph(appPackages, localDirs);
+  if (!graph.packages.has(target)) {
+    warn(`${meteorName} is not a dependency of this app (did you run convert-deps?)`);
+    return;
+  }
+  archs.forEach((archName) => {
+    const { paths, truncated } = findPaths(edgesForArch(graph, archName), graph.roots, target);
+    if (!paths.length) {
+      info(`${archName}: not used`);
+      return;
+    }
+    info(`${archName}:`);
+    paths.forEach((chain) => info(`  ${pathToString(chain, graph.packages)}`));
+    if (truncated) {
+      info(`  ...only showing the first ${MaxPathsPerArch} paths`);
+    }
+  });
+}
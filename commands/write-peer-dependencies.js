@@ -1,7 +1,7 @@
 import fs from 'fs-extra';
-import { ExcludePackageNames } from '../constants';
-import { meteorNameToNodeName } from '../helpers/helpers';
 import calculateVersions from './helpers/calculate-versions';
+import readAppPackages from './helpers/app-packages';
+import { error as logError } from '../helpers/log';
 
 export default async function writePeerDependencies({
   name,
@@ -12,26 +12,10 @@ export default async function writePeerDependencies({
 }) {
   const packageJson = JSON.parse((await fs.readFile('./package.json')).toString());
   let meteorPackageNamesMaybeWithVersions = nodePackagesAndVersions;
-  if (!nodePackagesAndVersions && await fs.pathExists('.meteor/packages')) {
-    meteorPackageNamesMaybeWithVersions = (await fs.readFile('.meteor/packages')).toString()
-      .split('\n')
-      .filter((line) => !line.startsWith('#'))
-      .map((line) => line.split('#')[0])
-      .map((line) => line.trim())
-      .filter(Boolean)
-      .map((nameAndMaybeVersion) => {
-        const [meteorName, version] = nameAndMaybeVersion.split('@');
-        if (ExcludePackageNames.has(meteorName)) {
-          return undefined;
-        }
-        return {
-          nodeName: meteorNameToNodeName(meteorName),
-          version,
-        };
-      })
-      .filter(Boolean);
+  if (!nodePackagesAndVersions) {
+    meteorPackageNamesMaybeWithVersions = await readAppPackages();
   }
-  else if (!nodePackagesAndVersions) {
+  if (!meteorPackageNamesMaybeWithVersions) {
     meteorPackageNamesMaybeWithVersions = Object.entries({ ...packageJson.dependencies, ...packageJson.optionalDependencies })
       .map(([nodeName, version]) => ({
         nodeName,
@@ -43,20 +27,20 @@ export default async function writePeerDependencies({
   }
   const directDependencies = new Set(meteorPackageNamesMaybeWithVersions.map(({ nodeName }) => nodeName));
 
-  // TODO: make calculateVersions work with the meteor constraint solver.
-  const { finalVersions, badVersions } = await calculateVersions(
+  const { finalVersions, conflict } = await calculateVersions(
     meteorPackageNamesMaybeWithVersions,
     localDirs,
   );
+  if (conflict) {
+    logError(`no versions of the converted packages satisfy every constraint, ${name} can't be written:`);
+    logError(conflict);
+    throw new Error(`couldn't resolve the versions for ${name}`);
+  }
   const ret = {
     name,
     version: '1.0.0',
     dependencies: {},
   };
-  if (badVersions.length) {
-    console.log(badVersions);
-    throw new Error('bad versions');
-  }
   Object.entries(finalVersions).forEach(([depName, version]) => {
     if (!packageJson[dependenciesKey][depName] || version.startsWith('file:')) {
       if (!usePeer || version.startsWith('file:') || directDependencies.has(depName)) {
@@ -9,8 +9,8 @@ export const ParentArchs = new Map([
 // these packages will all be ignored, mostly they're build packages,
 // the only ones that aren't have a strong dependency on modules package
 export const ExcludePackageNames = new Set([
-  'typescript',
-  'coffeescript',
+  'typescript', // we strip the types ourselves (see conversion/typescript.js)
+  'coffeescript', // we compile coffeescript files ourselves (see conversion/coffeescript.js)
   'modules',
   'modules-runtime',
   'caching-compiler',
@@ -37,3 +37,19 @@ export const ExcludePackageNames = new Set([
   'non-core',
 
 ]);
+
+// these packages are converted as commonjs rather than ESM
+export const CommonJSPackageNames = new Set([
+  'jquery',
+  'underscore',
+  'softwarerero:accounts-t9n',
+  'ecmascript-runtime-client',
+  'package-version-parser',
+]);
+
+// files with these extensions are only added to the client when a package doesn't specify the archs
+export const ClientOnlyExtensions = new Set([
+  '.html',
+  '.less',
+  '.css',
+]);
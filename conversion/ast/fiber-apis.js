@@ -0,0 +1,66 @@
+import { walk } from 'estree-walker';
+
+function isMemberCall(node, objectName, propertyName) {
+  return node.type === 'CallExpression'
+    && node.callee.type === 'MemberExpression'
+    && node.callee.object.type === 'Identifier'
+    && node.callee.object.name === objectName
+    && node.callee.property.name === propertyName;
+}
+
+function isFibersSource(value) {
+  return typeof value === 'string' && (value === 'fibers' || value.startsWith('fibers/'));
+}
+
+// require('fibers/future') or Npm.require('fibers')
+function requiresFibers(node) {
+  if (node.type !== 'CallExpression' || !isFibersSource(node.arguments[0]?.value)) {
+    return false;
+  }
+  return (node.callee.type === 'Identifier' && node.callee.name === 'require') || isMemberCall(node, 'Npm', 'require');
+}
+
+function fiberApiForNode(node, parent) {
+  if (isMemberCall(node, 'Promise', 'await')) {
+    return 'Promise.await';
+  }
+  if (isMemberCall(node, 'Meteor', 'wrapAsync')) {
+    return 'Meteor.wrapAsync';
+  }
+  if (node.type === 'ImportDeclaration' && isFibersSource(node.source.value)) {
+    return node.source.value;
+  }
+  if (requiresFibers(node)) {
+    return node.arguments[0].value;
+  }
+  // new Future() or Future.wrap(...)
+  if (
+    node.type === 'Identifier'
+    && node.name === 'Future'
+    && ((parent?.type === 'NewExpression' && parent.callee === node) || (parent?.type === 'MemberExpression' && parent.object === node))
+  ) {
+    return 'Future';
+  }
+  return undefined;
+}
+
+/**
+ * the APIs that look synchronous but only work inside a fiber (Promise.await, Meteor.wrapAsync, Future and fibers itself)
+ * @returns {[{ api: String, count: Number, line: Number? }]} each API used, with the line of its first use
+ */
+export default function findFiberApis(ast) {
+  const found = new Map();
+  walk(ast, {
+    enter(node, parent) {
+      const api = fiberApiForNode(node, parent);
+      if (!api) {
+        return;
+      }
+      if (!found.has(api)) {
+        found.set(api, { api, count: 0, line: node.loc?.start.line });
+      }
+      found.get(api).count += 1;
+    },
+  });
+  return Array.from(found.values());
+}
@@ -9,6 +9,8 @@ import { resolveFile } from '../imports.js';
 import { acornOptions } from '../acorn-options.js';
 import rewriteExports from './rewrite/exports.js';
 import clean from './rewrite/clean.js';
+import { DiagnosticCodes, Severity } from '../report.js';
+import { isScriptFile, compileToJS } from '../compilers.js';
 
 const warnedAboutRecast = new Set();
 export function parseContentsToAST(contents, {
@@ -16,6 +18,8 @@ export function parseContentsToAST(contents, {
   loose = false,
   file,
   raw = false,
+  onDiagnostic,
+  sourceFileName,
 } = {}) {
   const comments = [];
   const parser = loose ? acornLoose : acorn;
@@ -32,22 +36,28 @@ export function parseContentsToAST(contents, {
       return ast;
     }
     ast = parse(contents, {
+      // when set, recast tracks the original location of every node so we can generate a source map
+      sourceFileName,
       parser: {
         parse(src) {
-          return parser.parse(src, {
+          const program = parser.parse(src, {
             ...acornOptions,
-            ...(shouldAttachComments && { onComment: comments }),
+            // recast attaches any comments left on the program itself, it needs their locations to do so
+            ...(shouldAttachComments && { onComment: comments, locations: true }),
           });
+          // at a glance it seems like you shouldn't need this - but that's only because recast caches nodes
+          // e.g., if a node is unchanged, it prints it's exact representation
+          // so if a node is unchanged it's comments remain, but we want to keep *all* comments
+          // it also isn't clear at what level a change will impact comments - best to attach them manually if possible
+          // NOTE: this must happen before recast copies the tree, if the comments are attached to the copy every node with a comment
+          // counts as modified, so gets reprinted (losing it's formatting and source mappings)
+          if (shouldAttachComments) {
+            attachComments(program, comments);
+          }
+          return program;
         },
       },
     });
-    // at a glance it seems like you shouldn't need this - but that's only because recast caches nodes
-    // e.g., if a node is unchanged, it prints it's exact representation
-    // so if a node is unchanged it's comments remain, but we want to keep *all* comments
-    // it also isn't clear at what level a change will impact comments - best to attach them manually if possible
-    if (shouldAttachComments) {
-      attachComments(ast, comments);
-    }
     return ast.program;
   }
   catch (error) {
@@ -60,8 +70,16 @@ export function parseContentsToAST(contents, {
           raw: true,
         });
         if (file && !warnedAboutRecast.has(file)) {
-          // this was too noisy - but if we move to an event emitter might be useful
-          // warn(`${file || 'unknown file'} couldn't be parsed with recast, the structure and comments will possibly be lost`);
+          // this was too noisy to log - but it's recorded in the conversion report
+          onDiagnostic?.({
+            code: DiagnosticCodes.RECAST_PARSE_FALLBACK,
+            severity: Severity.INFO,
+            message: `couldn't be parsed with recast, the structure and comments will possibly be lost: ${error.message}`,
+            file,
+            line: error.loc?.line,
+            column: error.loc?.column,
+            rewrite: 'recast',
+          });
           warnedAboutRecast.add(file);
         }
         return ret;
@@ -74,26 +92,40 @@ export function parseContentsToAST(contents, {
       error.message = `${file}${loose ? ' (loose) ' : ''}: ${error.message}`;
     }
     // we're throwing a new error because the stack we get is totally useless
-    throw new Error(error.message);
+    const newError = new Error(error.message);
+    newError.loc = error.loc;
+    throw newError;
   }
 }
 
-export function astToCode(ast) {
+// the map is only available if the AST was parsed (by recast) with a sourceFileName
+export function astToCodeWithMap(ast, { file, onDiagnostic, sourceMapName } = {}) {
   try {
-    const { code } = print(ast);
+    const { code, map } = print(ast, { sourceMapName });
 
     // sometimes recast generates code that can't be parsed - something wrong with what we're doing + comments.
     // An exampel is qualia:core/lib/helpers.js where a comment is bumped *down* a line and converted to a leading comment
     // which effectively comments out a closing brace
     // HACK: remove this, it's so horrible.
     parseContentsToAST(code);
-    return code;
+    return { code, map: map?.mappings ? map : undefined };
   }
   catch (e) {
-    return generate(ast);
+    onDiagnostic?.({
+      code: DiagnosticCodes.ASTRING_FALLBACK,
+      severity: Severity.WARNING,
+      message: `recast generated invalid code, regenerated with astring (comments are lost): ${e.message}`,
+      file,
+      rewrite: 'astring',
+    });
+    return { code: generate(ast) };
   }
 }
 
+export function astToCode(ast, options) {
+  return astToCodeWithMap(ast, options).code;
+}
+
 function getExportNamedDeclarationNodes(ast) {
   const nodes = [];
   walk(ast, {
@@ -120,16 +152,28 @@ function getReservedUsage(ast) {
   return packageNodes;
 }
 
-async function getCleanAST(file) {
+async function getCleanAST(file, onDiagnostic) {
   try {
     let contents = (await fsPromises.readFile(file)).toString();
     let ast;
+    const compiled = await compileToJS(contents, file);
+    if (compiled) {
+      contents = compiled.code;
+      onDiagnostic?.({
+        ...compiled.diagnostic,
+        severity: Severity.INFO,
+        file,
+      });
+    }
     try {
       ast = parseContentsToAST(
         contents,
         {
           file,
           attachComments: true,
+          onDiagnostic,
+          // compiled code doesn't line up with the source, so we can't map back to it
+          sourceFileName: compiled ? undefined : file,
         },
       );
       return { ast, requiresCleaning: false };
@@ -151,6 +195,15 @@ async function getCleanAST(file) {
         ...getReservedUsage(ast),
         ...getExportNamedDeclarationNodes(ast),
       ];
+      onDiagnostic?.({
+        code: DiagnosticCodes.LOOSE_PARSE,
+        severity: Severity.WARNING,
+        message: `parsed with acorn-loose and patched ${all.length} reserved words/named exports: ${e.message}`,
+        file,
+        line: e.loc?.line,
+        column: e.loc?.column,
+        rewrite: 'acorn-loose',
+      });
       all.sort((a, b) => b.node.start - a.node.start);
       all.forEach(({ node, type }) => {
         const prefix = contents.slice(0, node.start);
@@ -173,6 +226,9 @@ async function getCleanAST(file) {
         {
           file,
           attachComments: true,
+          onDiagnostic,
+          // the line numbers are slightly off here, the patched named exports add lines
+          sourceFileName: compiled ? undefined : file,
         },
       );
       return { ast, requiresCleaning: true };
@@ -184,15 +240,18 @@ async function getCleanAST(file) {
   }
 }
 
-export async function maybeCleanAST(baseFolder, file, isCommon, exportedMap) {
+export async function maybeCleanAST(baseFolder, file, isCommon, exportedMap, onDiagnostic) {
   const baseFile = file.replace(baseFolder, '.');
-  if (!file.endsWith('.js') && !file.endsWith('.ts')) {
+  if (!isScriptFile(file)) {
     const resolvedFile = await resolveFile(file);
-    if (!resolvedFile.endsWith('.js') && !resolvedFile.endsWith('.ts')) {
+    if (!isScriptFile(resolvedFile)) {
       throw new Error(`tried to parse a non JS file ${file} resolved to ${resolvedFile}`);
     }
   }
-  const { ast, requiresCleaning } = await getCleanAST(file);
+  const { ast, requiresCleaning } = await getCleanAST(file, onDiagnostic && ((diagnostic) => onDiagnostic({
+    ...diagnostic,
+    file: baseFile,
+  })));
   const {
     hasImports = false,
     hasRequires = false,
@@ -205,6 +264,22 @@ export async function maybeCleanAST(baseFolder, file, isCommon, exportedMap) {
   if (usesExports && !hasRequires && !usesUncleanExports) {
     exported = rewriteExports(ast);
     exportedMap.set(baseFile, exported);
+    onDiagnostic?.({
+      code: DiagnosticCodes.EXPORTS_REWRITE,
+      severity: Severity.INFO,
+      message: `rewrote exports to ESM exports (${exported.length} exported)`,
+      file: baseFile,
+      rewrite: 'exports',
+    });
+  }
+  if (importEntries.size) {
+    onDiagnostic?.({
+      code: DiagnosticCodes.REQUIRE_TO_IMPORT,
+      severity: Severity.INFO,
+      message: `hoisted ${importEntries.size} top level requires to imports`,
+      file: baseFile,
+      rewrite: 'clean',
+    });
   }
   if (requiresCleaning || importEntries.size || exported?.length) {
     importEntries.forEach(({ node }) => {
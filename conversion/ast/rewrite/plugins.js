@@ -0,0 +1,130 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// the built in rewrites that can be disabled (rewrites.disable in the project config)
+export const BuiltInRewrites = {
+  IMPORT_METEOR: 'import-meteor', // import x from 'meteor/y' -> import x from '@meteor/y'
+  REQUIRE: 'require', // require('meteor/y') -> require('@meteor/y')
+  GLOBAL_THIS: 'global-this', // top level this -> globalThis
+  AWAIT: 'await', // await x -> Promise.await(x) on the server
+  REPLACE_IMPORTS: 'replace-imports', // server only imports in multi-arch files -> conditional (#) imports
+};
+
+export const RewritePhases = {
+  // before the built in rewrites and the package globals are analysed, so a plugin can add, remove or rename globals
+  BEFORE_GLOBALS: 'before-globals',
+  // after the imports and package globals have been replaced, just before the file is written
+  AFTER_GLOBALS: 'after-globals',
+};
+
+const DefaultServerOnlyImports = ['fibers', 'util'];
+
+let serverOnlyImports = new Set(DefaultServerOnlyImports);
+
+let disabledRewrites = new Set();
+
+let plugins = [];
+
+// the conversion target: false converts for the fibers runtime (await -> Promise.await), true keeps native await
+let nativeAwait = false;
+
+async function loadPlugin(pluginOrPath, cwd) {
+  if (typeof pluginOrPath !== 'string') {
+    return pluginOrPath;
+  }
+  const { default: plugin } = await import(pathToFileURL(path.resolve(cwd, pluginOrPath)).href);
+  return plugin;
+}
+
+function validatePlugin(plugin, i) {
+  if (!plugin || typeof plugin.rewrite !== 'function') {
+    throw new Error(`rewrite plugin ${plugin?.name || i} must have a rewrite function`);
+  }
+  const phase = plugin.phase || RewritePhases.AFTER_GLOBALS;
+  if (!Object.values(RewritePhases).includes(phase)) {
+    throw new Error(`rewrite plugin ${plugin.name || i} has unknown phase ${phase}, must be one of ${Object.values(RewritePhases).join(', ')}`);
+  }
+  return {
+    name: plugin.name || `plugin-${i}`,
+    phase,
+    rewrite: plugin.rewrite,
+  };
+}
+
+// rewrites are configured once per process (from the project config), every conversion job uses them
+// {
+//   serverOnlyImports: ['fibers', 'util', 'bcrypt'], // replaces the default list
+//   disable: ['global-this'], // any of BuiltInRewrites
+//   plugins: [
+//     './rewrites/legacy-globals.js', // the default export is the plugin
+//     { name: 'package-lookups', phase: 'after-globals', rewrite(ast, { file, archs, meteorPackage }) {} },
+//   ],
+// }
+export async function configureRewrites(config = {}, cwd = process.cwd()) {
+  const unknown = (config.disable || []).filter((name) => !Object.values(BuiltInRewrites).includes(name));
+  if (unknown.length) {
+    throw new Error(`can't disable unknown rewrites ${unknown.join(', ')}, must be one of ${Object.values(BuiltInRewrites).join(', ')}`);
+  }
+  serverOnlyImports = new Set(config.serverOnlyImports || DefaultServerOnlyImports);
+  disabledRewrites = new Set(config.disable);
+  plugins = (await Promise.all((config.plugins || []).map((plugin) => loadPlugin(plugin, cwd)))).map(validatePlugin);
+}
+
+export function setNativeAwait(enabled) {
+  nativeAwait = !!enabled;
+}
+
+export function isNativeAwait() {
+  return nativeAwait;
+}
+
+export function isRewriteEnabled(name) {
+  if (name === BuiltInRewrites.AWAIT && nativeAwait) {
+    return false;
+  }
+  return !disabledRewrites.has(name);
+}
+
+export function getServerOnlyImports() {
+  return serverOnlyImports;
+}
+
+export function hasRewritePlugins() {
+  return plugins.length !== 0;
+}
+
+// the configuration a worker needs to rewrite files the same way, plugins can't be sent to a worker (see WorkerPool)
+export function rewritesSnapshot() {
+  return {
+    serverOnlyImports: Array.from(serverOnlyImports),
+    disable: Array.from(disabledRewrites),
+    nativeAwait,
+  };
+}
+
+// the configured plugins (their code included), changing any of them means every package has to be converted again
+export function rewritePluginsSnapshot() {
+  return plugins.map(({ name, phase, rewrite }) => ({ name, phase, rewrite: rewrite.toString() }));
+}
+
+/**
+ * run every plugin registered for the phase against a file, in the order they were configured.
+ * @param {String} phase one of RewritePhases
+ * @param {Object} ast the ESTree AST of the file, plugins modify it in place
+ * @param {{ file: String, archs: Set<String>, meteorPackage: import('../../meteor-package').default }} context
+ * @returns {[String]} the names of the plugins which reported they changed the file (by returning true)
+ */
+export function runRewritePlugins(phase, ast, context) {
+  return plugins
+    .filter((plugin) => plugin.phase === phase)
+    .filter((plugin) => {
+      try {
+        return plugin.rewrite(ast, context) === true;
+      }
+      catch (e) {
+        e.message = `rewrite plugin ${plugin.name} failed on ${context.file}: ${e.message}`;
+        throw e;
+      }
+    })
+    .map((plugin) => plugin.name);
+}
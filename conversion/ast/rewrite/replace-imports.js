@@ -1,21 +1,18 @@
 import { walk } from 'estree-walker';
-
-// TODO: find a way to make this an option
-const SERVER_ONLY_IMPORTS = new Set([
-  'fibers',
-  'util',
-]);
+import { getServerOnlyImports } from './plugins.js';
 
 export default function replaceImportsInAst(ast, isMultiArch, serverOnlyImportsSet) {
   if (!isMultiArch) {
     // if we're not multi-arch, don't bother rewriting.
     return;
   }
+  // configurable with rewrites.serverOnlyImports
+  const serverOnlyImports = getServerOnlyImports();
   walk(ast, {
     enter(node) {
       if (node.type === 'ImportDeclaration') {
         const rootImportSource = node.source.value.split('/')[0];
-        if (SERVER_ONLY_IMPORTS.has(rootImportSource)) {
+        if (serverOnlyImports.has(rootImportSource)) {
           if (rootImportSource !== node.source.value) {
             serverOnlyImportsSet.add(`${rootImportSource}/*`);
           }
@@ -65,6 +65,10 @@ export default class Catalog {
     });
   }
 
+  hasPackage(pkg) {
+    return this.#localPackages.has(pkg) || this.#versionsForPackages.has(pkg);
+  }
+
   getSortedVersionRecords(pkg) {
     let actualPkgName = pkg;
     let isTest = false;
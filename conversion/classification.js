@@ -0,0 +1,80 @@
+import { ExcludePackageNames, CommonJSPackageNames, ClientOnlyExtensions } from '../constants.js';
+import { globalBlacklist } from './globals.js';
+import { warn } from '../helpers/log.js';
+
+// every list a project can override (classification in the project config), these are the sets the conversion actually uses
+const ClassificationLists = new Map([
+  ['excludePackages', { set: ExcludePackageNames, packages: true }],
+  ['commonJSPackages', { set: CommonJSPackageNames, packages: true }],
+  ['clientOnlyExtensions', { set: ClientOnlyExtensions }],
+  ['globalBlacklist', { set: globalBlacklist }],
+]);
+
+const Defaults = new Map(Array.from(ClassificationLists.entries()).map(([name, { set }]) => [name, new Set(set)]));
+
+function resetList(name) {
+  const { set } = ClassificationLists.get(name);
+  set.clear();
+  Defaults.get(name).forEach((value) => set.add(value));
+}
+
+// {
+//   commonJSPackages: { add: ['qualia:legacy-helpers'] },
+//   excludePackages: { remove: ['dynamic-import'] },
+//   clientOnlyExtensions: { add: ['.styl'] },
+//   globalBlacklist: { add: ['SomeBrowserGlobal'], remove: ['$'] },
+// }
+export function configureClassification(config = {}) {
+  const unknown = Object.keys(config).filter((name) => !ClassificationLists.has(name));
+  if (unknown.length) {
+    throw new Error(`unknown classification ${unknown.join(', ')}, must be one of ${Array.from(ClassificationLists.keys()).join(', ')}`);
+  }
+  ClassificationLists.forEach(({ set }, name) => {
+    resetList(name);
+    const { add = [], remove = [] } = config[name] || {};
+    remove.forEach((value) => {
+      if (!set.delete(value)) {
+        warn(`classification.${name} can't remove ${value}, it isn't in the list`);
+      }
+    });
+    add.forEach((value) => set.add(value));
+  });
+}
+
+// the effective lists, so a worker can restore them without re-applying (and re-warning about) the overrides
+export function classificationSnapshot() {
+  return Object.fromEntries(Array.from(ClassificationLists.entries()).map(([name, { set }]) => [name, Array.from(set)]));
+}
+
+export function restoreClassification(snapshot) {
+  Object.entries(snapshot).forEach(([name, values]) => {
+    const { set } = ClassificationLists.get(name);
+    set.clear();
+    values.forEach((value) => set.add(value));
+  });
+}
+
+/**
+ * @param {(meteorName: String) => Boolean} isKnownPackage
+ * @returns {[{ name: String, meteorName: String }]} every package added by an override that isn't a real package
+ */
+export function unknownClassifiedPackages(isKnownPackage) {
+  return Array.from(ClassificationLists.entries())
+    .filter(([, { packages }]) => packages)
+    .flatMap(([name, { set }]) => Array.from(set)
+      .filter((meteorName) => !Defaults.get(name).has(meteorName))
+      .filter((meteorName) => !isKnownPackage(meteorName))
+      .map((meteorName) => ({ name, meteorName })));
+}
+
+// the effective lists, with the overrides marked (+ added, - removed)
+export function describeClassification() {
+  return Array.from(ClassificationLists.entries()).map(([name, { set }]) => {
+    const defaults = Defaults.get(name);
+    const values = [
+      ...Array.from(set).map((value) => (defaults.has(value) ? value : `+${value}`)),
+      ...Array.from(defaults).filter((value) => !set.has(value)).map((value) => `-${value}`),
+    ];
+    return `${name} (${set.size}): ${values.join(', ')}`;
+  }).join('\n');
+}
@@ -0,0 +1,41 @@
+import CoffeeScript from 'coffeescript';
+
+export const CoffeeScriptExtensions = ['.coffee', '.litcoffee', '.coffee.md'];
+
+// the same as meteor's coffeescript compiler - other than this (@), share is the only way for coffeescript files to share package globals
+// __coffeescriptShare is assigned without being declared, so it's picked up as a package global like any other
+const ShareHeader = "__coffeescriptShare = typeof __coffeescriptShare === 'object' ? __coffeescriptShare : {}; var share = __coffeescriptShare;";
+
+export function isCoffeeScriptFile(file) {
+  return CoffeeScriptExtensions.some((ext) => file.endsWith(ext));
+}
+
+export function compileCoffeeScript(contents, file) {
+  // bare, the same as meteor - every file is a module so it's top level vars are already file scoped
+  const code = CoffeeScript.compile(contents, {
+    bare: true,
+    header: false,
+    filename: file,
+    literate: !file.endsWith('.coffee'),
+  });
+  return code.match(/\bshare\b/) ? `${ShareHeader}\n${code}` : code;
+}
+
+// coffeescript declares every variable assigned at the top level (e.g., var Foo, bar;) which makes them file scoped.
+// Meteor strips the exported ones from that declaration so they're package globals instead - so must we.
+export function stripExportedVars(ast, exportedVars) {
+  const exported = new Set(exportedVars);
+  for (let i = ast.body.length - 1; i >= 0; i -= 1) {
+    const node = ast.body[i];
+    if (node.type === 'VariableDeclaration' && node.kind === 'var' && node.declarations.every(({ init }) => !init)) {
+      for (let j = node.declarations.length - 1; j >= 0; j -= 1) {
+        if (exported.has(node.declarations[j].id.name)) {
+          node.declarations.splice(j, 1);
+        }
+      }
+      if (!node.declarations.length) {
+        ast.body.splice(i, 1);
+      }
+    }
+  }
+}
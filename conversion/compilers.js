@@ -0,0 +1,50 @@
+import { isTypeScriptFile, stripTypes } from './typescript.js';
+import { CoffeeScriptExtensions, isCoffeeScriptFile, compileCoffeeScript } from './coffeescript.js';
+import { DiagnosticCodes } from './report.js';
+
+// every extension we can convert, in the order meteor resolves them (so JS wins)
+export const ScriptExtensions = ['.js', '.ts', ...CoffeeScriptExtensions];
+
+export function isScriptFile(file) {
+  return file.endsWith('.js') || isTypeScriptFile(file) || isCoffeeScriptFile(file);
+}
+
+// compiled files are written as plain JS, so anything referencing them by name has to reference the .js file instead
+export function outputFileName(file) {
+  if (isTypeScriptFile(file)) {
+    return file.replace(/\.ts$/, '.js');
+  }
+  const coffeeScriptExtension = CoffeeScriptExtensions.find((ext) => file.endsWith(ext));
+  if (coffeeScriptExtension) {
+    return `${file.slice(0, -coffeeScriptExtension.length)}.js`;
+  }
+  return file;
+}
+
+/**
+ * @returns {Promise<{ code: String, diagnostic: { code: String, message: String, rewrite: String } }>?}
+ * undefined if the file is already JS
+ */
+export async function compileToJS(contents, file) {
+  if (isTypeScriptFile(file)) {
+    return {
+      code: await stripTypes(contents, file),
+      diagnostic: {
+        code: DiagnosticCodes.TYPESCRIPT,
+        message: 'stripped types with esbuild, the output has no source map',
+        rewrite: 'typescript',
+      },
+    };
+  }
+  if (isCoffeeScriptFile(file)) {
+    return {
+      code: compileCoffeeScript(contents, file),
+      diagnostic: {
+        code: DiagnosticCodes.COFFEESCRIPT,
+        message: 'compiled from coffeescript, the output has no source map',
+        rewrite: 'coffeescript',
+      },
+    };
+  }
+  return undefined;
+}
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import path from 'path';
 import fsPromises from 'fs/promises';
 import fs from 'fs-extra';
@@ -15,7 +16,38 @@ import { warn } from '../helpers/log';
 import MeteorPackage, { TestSuffix } from './meteor-package';
 import { extraOptionsForRegistry, getNpmRc, registryForPackage } from '../helpers/ensure-npm-rc';
 import ensureLocalPackage from '../helpers/ensure-local-package';
+import { catalogSnapshotPath } from '../helpers/catalog-snapshot';
+import packageSourceHash from '../helpers/source-hash';
 import Catalog from './catalog';
+import { unknownClassifiedPackages, classificationSnapshot } from './classification';
+import { hasRewritePlugins, rewritesSnapshot, rewritePluginsSnapshot } from './ast/rewrite/plugins';
+import PackageFiles from './package-files';
+import WorkerPool from './worker-pool';
+import WaitGraph from './wait-graph';
+import ConversionReport, { DiagnosticCodes, Severity } from './report';
+
+// if nothing a package is waiting on resolves for this long, the conversion is treated as deadlocked
+const StallTimeout = 5 * 60 * 1000;
+
+// what the generated output of the packages that use a package depends on: the globals it exports and the packages it implies (and so re-exports)
+function exportedInterface(meteorPackage) {
+  return JSON.stringify(meteorPackage.getLeafArchs().map(({ archName }) => [
+    archName,
+    Array.from(meteorPackage.getExportedVars(archName)).sort(),
+    Array.from(meteorPackage.getImplies(archName)).sort(),
+  ]));
+}
+
+// the source hash, the versions of the dependency closure and the conversion settings - if any of them change the output might too
+function foldConversionHash(sourceHash, dependencyVersions) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    sourceHash,
+    dependencyVersions,
+    rewrites: rewritesSnapshot(),
+    rewritePlugins: rewritePluginsSnapshot(),
+    classification: classificationSnapshot(),
+  })).digest('hex');
+}
 
 export default class ConversionJob {
   #outputGeneralDirectory;
@@ -63,6 +95,19 @@ export default class ConversionJob {
   // incorrectly
   #testPackageNames = new Set();
 
+  #report = new ConversionReport();
+
+  // meteorName => Promise<String> the source hash of each local package, see sourceHash
+  #sourceHashes = new Map();
+
+  // meteorName => version, from .meteor/versions and the constraint solver (when versions are checked)
+  #resolvedVersions = new Map();
+
+  // only when converting with more than one job, otherwise every file is parsed and rewritten on the main thread
+  #workerPool;
+
+  #waitGraph = new WaitGraph();
+
   constructor({
     outputGeneralDirectory,
     outputSharedDirectory,
@@ -72,6 +117,7 @@ export default class ConversionJob {
     forceRefresh,
     skipNonLocalIfPossible = true,
     checkVersions = false,
+    jobs = 1,
   }) {
     this.#outputGeneralDirectory = path.resolve(outputGeneralDirectory);
     this.#outputSharedDirectory = path.resolve(outputSharedDirectory || outputGeneralDirectory);
@@ -88,6 +134,30 @@ export default class ConversionJob {
     this.#forceRefreshOptions = forceRefresh;
     this.#skipNonLocalIfPossible = skipNonLocalIfPossible;
     this.#checkVersions = checkVersions;
+    if (jobs > 1) {
+      if (hasRewritePlugins()) {
+        warn(`rewrite plugins can only run on the main thread, ignoring --jobs ${jobs}`);
+      }
+      else {
+        this.#workerPool = new WorkerPool(jobs, {
+          rewrites: rewritesSnapshot(),
+          classification: classificationSnapshot(),
+        });
+      }
+    }
+  }
+
+  // where a package's files are parsed, analysed and printed. The job still owns everything across packages
+  createPackageFiles() {
+    return this.#workerPool ? this.#workerPool.packageFiles() : new PackageFiles();
+  }
+
+  get report() {
+    return this.#report;
+  }
+
+  async writeReport(directory = this.#outputGeneralDirectory) {
+    return this.#report.write(directory);
   }
 
   #outputDirectories() {
@@ -99,13 +169,95 @@ export default class ConversionJob {
     };
   }
 
-  async reconvert(meteorPackage) {
-    meteorPackage.allowRebuild();
-    await this.loadPackage(meteorPackage, meteorPackage.version);
-    await meteorPackage.ensurePackageFullyLoaded();
-    await meteorPackage.ensureTestPackageFullyLoaded();
-    await meteorPackage.writeToNpmModule(this.#outputDirectories(), this.#testPackageNames.has(meteorPackage.meteorName));
-    return true;
+  // package.js is evaluated again into a new package (evaluating it into the old one would add its uses and files twice), which replaces the old one
+  async #reload(meteorPackage) {
+    const { meteorName } = meteorPackage;
+    this.#sourceHashes.delete(meteorName);
+    const reloadedPackage = new MeteorPackage({
+      meteorName,
+      isTest: false,
+      job: this,
+    });
+    reloadedPackage.isFullyLoaded = true;
+    this.#packageMap.set(meteorName, reloadedPackage);
+    try {
+      await this.loadPackage(reloadedPackage, meteorPackage.version);
+    }
+    catch (e) {
+      // the old package is still the one that's written, e.g., package.js might be half edited
+      this.#packageMap.set(meteorName, meteorPackage);
+      throw e;
+    }
+    return reloadedPackage;
+  }
+
+  async #reloadAll(meteorPackages) {
+    return Promise.all(meteorPackages.map(async (meteorPackage) => {
+      try {
+        return { meteorPackage: await this.#reload(meteorPackage) };
+      }
+      catch (error) {
+        return { meteorPackage, error };
+      }
+    }));
+  }
+
+  // a package's globals come from the packages it uses and everything they imply (and what that implies, and so on)
+  #usesAnyOf(meteorPackage, meteorNames) {
+    const visible = new Set();
+    const toVisit = Array.from(meteorPackage.getDependenciesToEnsure())
+      .map((nameAndMaybeVersionConstraint) => nameAndMaybeVersionConstraint.split('@')[0]);
+    while (toVisit.length) {
+      const meteorName = toVisit.pop();
+      if (!visible.has(meteorName)) {
+        visible.add(meteorName);
+        const dependency = this.get(meteorName);
+        dependency?.getLeafArchs().forEach(({ archName }) => toVisit.push(...dependency.getImplies(archName)));
+      }
+    }
+    return Array.from(visible).some((meteorName) => meteorNames.has(meteorName));
+  }
+
+  // the packages whose globals or entry points were generated from the old exports (or implies) of the changed packages
+  async #dependentsToReconvert(changedMeteorNames, reconvertedMeteorNames) {
+    const dependents = this.getAllLoaded()
+      .filter(({ meteorName }) => !reconvertedMeteorNames.has(meteorName))
+      .filter((meteorPackage) => this.#usesAnyOf(meteorPackage, changedMeteorNames));
+    const withSource = await Promise.all(dependents.map(async (meteorPackage) => !!await this.#findPackageJs(meteorPackage.meteorName, false)));
+    dependents.filter((meteorPackage, i) => !withSource[i]).forEach(({ meteorName }) => {
+      const changed = Array.from(changedMeteorNames).join(', ');
+      warn(`${meteorName} uses the globals of ${changed} but isn't local, it can't be reconverted to pick up their changes`);
+    });
+    return dependents.filter((meteorPackage, i) => withSource[i]);
+  }
+
+  /**
+   * converts the packages again (e.g., because their source changed) in a single pass,
+   * along with anything their package.js now uses that wasn't loaded.
+   * If a package's exports or implies change, the packages whose output depends on them are reconverted too.
+   * @returns {Promise<[{ meteorPackage: MeteorPackage, error: Error?, isDependent: Boolean? }]>}
+   * for each package, the package that replaced it or why it couldn't be reloaded
+   */
+  async reconvert(meteorPackages) {
+    const interfacesBefore = new Map(meteorPackages.map((meteorPackage) => [meteorPackage.meteorName, exportedInterface(meteorPackage)]));
+    const reloaded = await this.#reloadAll(meteorPackages);
+    const changedMeteorNames = new Set(reloaded
+      .filter(({ meteorPackage, error }) => !error && exportedInterface(meteorPackage) !== interfacesBefore.get(meteorPackage.meteorName))
+      .map(({ meteorPackage }) => meteorPackage.meteorName));
+    if (changedMeteorNames.size) {
+      const dependents = await this.#dependentsToReconvert(changedMeteorNames, new Set(interfacesBefore.keys()));
+      reloaded.push(...(await this.#reloadAll(dependents)).map((result) => ({ ...result, isDependent: true })));
+    }
+    // packages that were already written are skipped
+    await Promise.all(this.getAllLoaded().map(async (meteorPackage) => {
+      await meteorPackage.ensurePackageFullyLoaded();
+      const underTest = this.#testPackageNames.has(meteorPackage.meteorName);
+      if (underTest) {
+        await meteorPackage.ensureTestPackageFullyLoaded();
+      }
+      await meteorPackage.writeToNpmModule(this.#outputDirectories(), underTest);
+    }));
+    return reloaded;
   }
 
   async #createCatalog() {
@@ -139,6 +291,13 @@ export default class ConversionJob {
       }
       catch (e) {
         warn(e.message);
+        this.#report.add({
+          packageName: meteorName,
+          code: DiagnosticCodes.PACKAGE_JS,
+          severity: Severity.ERROR,
+          message: e.message,
+          file: packageJsPathObject.packageJsPath,
+        });
       }
 
       localPackageMap.set(meteorName, {
@@ -149,13 +308,66 @@ export default class ConversionJob {
 
     const catalog = new Catalog(this.#meteorInstall, localPackageMap);
     await catalog.init();
+    unknownClassifiedPackages((meteorName) => catalog.hasPackage(meteorName)).forEach(({ name, meteorName }) => {
+      warn(`classification.${name} refers to ${meteorName}, which isn't in the catalog`);
+    });
     return catalog;
   }
 
+  // records that waiter is waiting on target (see WaitGraph), resolves with the promise
+  async waitFor(waiter, target, reason, promise) {
+    return this.#waitGraph.wait(waiter, target, reason, promise);
+  }
+
+  async holding(meteorName, lockName, fn) {
+    return this.#waitGraph.hold(meteorName, lockName, fn);
+  }
+
+  // downloads, parsing and rewriting can take a while, but a package doing any of them isn't deadlocked
+  async working(meteorName, activity, fn) {
+    return this.#waitGraph.work(meteorName, activity, fn);
+  }
+
+  // a deadlocked conversion either drains the event loop (every package is waiting on a promise nothing will resolve)
+  // or, if something else keeps the process alive, stops making progress. Either way deadlock rejects with the wait-for graph
+  #startWatchdog() {
+    let onBeforeExit;
+    let interval;
+    const deadlock = new Promise((resolve, reject) => {
+      const deadlocked = (why) => reject(new Error(`conversion deadlocked: ${why}\n${this.#waitGraph.describe()}`));
+      onBeforeExit = () => deadlocked(`the event loop drained with ${this.#waitGraph.waiting} waits unresolved`);
+      interval = setInterval(() => {
+        if (this.#waitGraph.waiting && this.#waitGraph.stalledFor() > StallTimeout) {
+          deadlocked(`nothing has resolved for ${Math.round(this.#waitGraph.stalledFor() / 1000)}s`);
+        }
+      }, StallTimeout / 10);
+    });
+    process.on('beforeExit', onBeforeExit);
+    interval.unref();
+    return {
+      deadlock,
+      stopWatchdog: () => {
+        process.off('beforeExit', onBeforeExit);
+        clearInterval(interval);
+      },
+    };
+  }
+
   async convertPackages(meteorNames, meteorNamesAndVersions) {
+    const { deadlock, stopWatchdog } = this.#startWatchdog();
+    try {
+      await Promise.race([this.#convertPackages(meteorNames, meteorNamesAndVersions), deadlock]);
+    }
+    finally {
+      stopWatchdog();
+    }
+  }
+
+  async #convertPackages(meteorNames, meteorNamesAndVersions) {
     this.#testPackageNames = new Set(meteorNames
       .filter((meteorName) => meteorName.endsWith(TestSuffix))
       .map((meteorName) => meteorName.replace(TestSuffix, '')));
+    this.#resolvedVersions = new Map(meteorNamesAndVersions.map((nameAndVersion) => nameAndVersion.split('@')));
     let versionResult;
     if (this.#checkVersions) {
       const catalog = await this.#createCatalog();
@@ -171,6 +383,7 @@ export default class ConversionJob {
       // not every package will provide test dependencies, and if we just give a static list to the constraint solver of "all these are test packages"
       // we'll end up with a circular reference between a package and itself (e.g., everytime you see X load X-test and X-test depends on X)
       Object.entries(versionResult.answer).forEach(([meteorName, version]) => {
+        this.#resolvedVersions.set(meteorName, version);
         if (!meteorName.endsWith(TestSuffix)) {
           this.warmPackage(`${meteorName}@${version}`);
         }
@@ -191,7 +404,6 @@ export default class ConversionJob {
 
     // a special package that does nothing. Useful for optional imports/exports
     cleanNames.push('noop@0.0.1');
-    cleanNames.push('assets@0.0.1');
     // first convert all the non-test packages so we know they're done, then we do all the test packages.
     // this should help with circular dependencies (a little)
     await Promise.all(cleanNames.map(async (nameAndMaybeVersion) => this.#convertPackage(nameAndMaybeVersion)));
@@ -212,13 +424,16 @@ export default class ConversionJob {
       return false;
     }
     meteorPackage.isFullyLoaded = true;
-    if (this.#skipNonLocalIfPossible) {
-      const packageJsPathObject = await this.#findPackageJs(meteorPackage.meteorName, true);
-      if (!packageJsPathObject) {
-        const isGood = await this.convertFromExistingIfPossible(meteorPackage, meteorPackage.type);
-        if (isGood) {
-          return false;
-        }
+    const packageJsPathObject = await this.#findPackageJs(meteorPackage.meteorName, true);
+    if (packageJsPathObject) {
+      if (await this.#convertFromUnchangedSourceIfPossible(meteorPackage)) {
+        return false;
+      }
+    }
+    else if (this.#skipNonLocalIfPossible) {
+      const isGood = await this.convertFromExistingIfPossible(meteorPackage, meteorPackage.type);
+      if (isGood) {
+        return false;
       }
     }
     await this.loadPackage(meteorPackage, maybeVersionConstraint);
@@ -260,6 +475,81 @@ export default class ConversionJob {
     return false;
   }
 
+  // the hash of a local package's source, undefined for any other package (they're versioned)
+  async sourceHash(meteorName) {
+    if (!this.#sourceHashes.has(meteorName)) {
+      this.#sourceHashes.set(meteorName, this.#findPackageJs(meteorName, true).then((packageJsPathObject) => (
+        packageJsPathObject && packageSourceHash(path.dirname(packageJsPathObject.packageJsPath))
+      )));
+    }
+    return this.#sourceHashes.get(meteorName);
+  }
+
+  // local packages are identified by their source, everything else by the version that was resolved for it
+  async #currentVersion(meteorName) {
+    return (await this.sourceHash(meteorName)) || this.#resolvedVersions.get(meteorName) || null;
+  }
+
+  // every package the package's output can depend on: what it uses and implies, what they use and imply, and so on
+  async #dependencyVersions(meteorPackage) {
+    const closure = new Set();
+    const toVisit = meteorPackage.dependencyNames();
+    while (toVisit.length) {
+      const meteorName = toVisit.pop();
+      if (meteorName !== meteorPackage.meteorName && !closure.has(meteorName)) {
+        closure.add(meteorName);
+        toVisit.push(...(this.get(meteorName)?.dependencyNames() || []));
+      }
+    }
+    return Object.fromEntries(await Promise.all(Array.from(closure).sort().map(async (meteorName) => [
+      meteorName,
+      await this.#currentVersion(meteorName),
+    ])));
+  }
+
+  /**
+   * a hash of everything that goes into a local package's output: its source, the version (or source) of every package in its dependency closure,
+   * the rewrites (including native await and any plugins) and the classification
+   * @returns {Promise<{ conversionHash: String, dependencyVersions: Object<String, String> }>}
+   */
+  async conversionHash(meteorPackage) {
+    const dependencyVersions = await this.#dependencyVersions(meteorPackage);
+    return {
+      conversionHash: foldConversionHash(await this.sourceHash(meteorPackage.meteorName), dependencyVersions),
+      dependencyVersions,
+    };
+  }
+
+  // local packages are reconverted if anything that went into their conversion (see conversionHash) changed since they were converted
+  async #convertFromUnchangedSourceIfPossible(meteorPackage) {
+    const { meteorName } = meteorPackage;
+    // a package under test may not have been converted with its tests
+    if (this.#forceRefresh(meteorName) || this.#testPackageNames.has(meteorName)) {
+      return false;
+    }
+    // only a conversion in the package's own output directory counts, that's where the app depends on it from
+    const { type } = await this.#findPackageJs(meteorName, true);
+    const outputDirectory = this.#outputDirectories()[type] || this.#outputGeneralDirectory;
+    const actualPath = path.join(outputDirectory, meteorNameToNodePackageDir(meteorName), 'package.json');
+    if (!await fs.pathExists(actualPath)) {
+      return false;
+    }
+    const json = JSON.parse((await fsPromises.readFile(actualPath)).toString());
+    const { sourceHash, conversionHash, dependencyVersions = {} } = json.meteorTmp || {};
+    if (!conversionHash || sourceHash !== await this.sourceHash(meteorName)) {
+      return false;
+    }
+    // the closure can only change if a package in it changed, so checking the packages that were in it is enough
+    const currentVersions = Object.fromEntries(await Promise.all(Object.keys(dependencyVersions).map(async (dependencyName) => [
+      dependencyName,
+      await this.#currentVersion(dependencyName),
+    ])));
+    if (foldConversionHash(sourceHash, currentVersions) !== conversionHash) {
+      return false;
+    }
+    return meteorPackage.loadFromNodeJSON(json, type);
+  }
+
   async #ensureRegistryConfig() {
     if (!this.#npmrc) {
       this.#npmrc = await getNpmRc();
@@ -356,7 +646,7 @@ export default class ConversionJob {
     }));
   }
 
-  async #findPackageJs(name, localOnly) {
+  async #ensurePackageJsMap(localOnly) {
     const map = localOnly ? this.#localPackageNameToFolderPaths : this.#packageNameToFolderPaths;
     if (!localOnly && !map.size) {
       await this.#lock.acquire('initPackageJsMap', async () => {
@@ -374,20 +664,34 @@ export default class ConversionJob {
         );
       });
     }
+    return map;
+  }
+
+  async #findPackageJs(name, localOnly) {
+    const map = await this.#ensurePackageJsMap(localOnly);
     return map.get(name);
   }
 
+  // meteorName => { packageJsPath, type } for every package whose source this job can see
+  async getPackageJsPaths(localOnly = false) {
+    return new Map(await this.#ensurePackageJsMap(localOnly));
+  }
+
   async #pathToISOPack(meteorName, versionConstraint) {
     const folderName = (meteorName).split(':').join('_');
-    if (!await fs.pathExists(this.#meteorInstall)) {
+    // with a catalog snapshot the isopacks are downloaded into the meteor install folder, meteor itself doesn't need to be installed
+    if (catalogSnapshotPath()) {
+      await fs.ensureDir(this.#meteorInstall);
+    }
+    else if (!await fs.pathExists(this.#meteorInstall)) {
       throw new Error('Meteor not installed');
     }
 
-    await ensureLocalPackage({
+    await this.working(meteorName, 'download', () => ensureLocalPackage({
       meteorInstall: this.#meteorInstall,
       name: meteorName,
       versionConstraint,
-    });
+    }));
 
     const basePath = path.join(this.#meteorInstall, 'packages', folderName);
     // this shouldn't be possible anymore thanks to ensureLocalPackage
@@ -439,7 +743,16 @@ export default class ConversionJob {
   // but if we've disabled #checkVersions (which in some cases forces us to use the latest version)
   // we need to gracefully exit out of optional packages
   // if we're loading the dependency from a test package - we loosen the restriction to only use warmed packages
-  async ensurePackage(meteorNameAndMaybeVersionConstraint, { optional = false, fromTest = false } = {}) {
+  // requestedBy (the meteorName of the package that depends on this one) is only used to track what's waiting on what
+  async ensurePackage(meteorNameAndMaybeVersionConstraint, { requestedBy, ...options } = {}) {
+    const ensured = this.#ensurePackage(meteorNameAndMaybeVersionConstraint, { requestedBy, ...options });
+    if (!requestedBy) {
+      return ensured;
+    }
+    return this.waitFor(requestedBy, meteorNameAndMaybeVersionConstraint.split('@')[0], 'ensurePackage', ensured);
+  }
+
+  async #ensurePackage(meteorNameAndMaybeVersionConstraint, { optional = false, fromTest = false, requestedBy = '(job)' } = {}) {
     const [meteorName, maybeVersionConstraint] = meteorNameAndMaybeVersionConstraint.split('@');
     const versionToSatisfy = maybeVersionConstraint
       ? meteorVersionToSemver(maybeVersionConstraint)
@@ -462,7 +775,7 @@ export default class ConversionJob {
     }
     if (maybeVersionConstraint && meteorPackage?.isFullyLoaded) {
       if (!meteorPackage.version) {
-        await meteorPackage.loaded();
+        await this.waitFor(requestedBy, meteorName, 'loaded', meteorPackage.loaded());
       }
       if (!versionsAreCompatible(meteorPackage.version, versionToSatisfy)) {
         throw new Error(`version mismatch for ${meteorName}. ${versionToSatisfy} requested but ${meteorPackage.version} loaded`);
@@ -471,8 +784,11 @@ export default class ConversionJob {
     if (!this.#packageMap.get(meteorName)?.isFullyLoaded) {
       meteorPackage.isFullyLoaded = true; // TODO: this probably shouldn't be here, but we need to make sure it happens before any other await
       if (!this.#forceRefresh(meteorName)) {
-        // if the package exists in a "local" dir, we're gonna convert it even if it's already converted
+        // if the package exists in a "local" dir, we're gonna convert it unless it's source hasn't changed
         const shouldSkip = !await this.#findPackageJs(meteorName, true);
+        if (!shouldSkip && await this.#convertFromUnchangedSourceIfPossible(meteorPackage)) {
+          return false;
+        }
         if (shouldSkip) {
           // if we don't want to greedily convert this package, look for an existing JSON (either in an npm registry or locally)
           // if we find it, and the conversion is good, we're good. Otherwise, continue to load.
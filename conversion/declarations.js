@@ -0,0 +1,182 @@
+import path from 'path';
+import { ScriptExtensions } from './compilers.js';
+
+// TypeScript declarations for a converted package that doesn't ship its own. We don't infer any types,
+// every export is `any` - the point is that the imports type-check and the editor shows the JSDoc.
+
+const Identifier = /^[A-Za-z_$][\w$]*$/;
+
+function docComment(node) {
+  const comment = (node?.comments || [])
+    .filter(({ leading, type, value }) => leading && (type === 'Block' || type === 'CommentBlock') && value.startsWith('*'))
+    .pop();
+  return comment && `/*${comment.value}*/`;
+}
+
+function paramList(params) {
+  return params.map((param, i) => {
+    if (param.type === 'RestElement') {
+      return `...${param.argument.type === 'Identifier' ? param.argument.name : `args${i}`}: any[]`;
+    }
+    if (param.type === 'AssignmentPattern') {
+      return `${param.left.type === 'Identifier' ? param.left.name : `arg${i}`}?: any`;
+    }
+    return `${param.type === 'Identifier' ? param.name : `arg${i}`}: any`;
+  });
+}
+
+// what kind of value a declaration (or the right hand side of an assignment) is
+function describeValue(node) {
+  if (node?.type === 'FunctionDeclaration' || node?.type === 'FunctionExpression' || node?.type === 'ArrowFunctionExpression') {
+    return { kind: 'function', params: paramList(node.params) };
+  }
+  if (node?.type === 'ClassDeclaration' || node?.type === 'ClassExpression') {
+    return { kind: 'class' };
+  }
+  return { kind: 'value' };
+}
+
+// ./lib/x, ./lib/x.js (for x.ts) or ./lib/x/index.js => the file as it's keyed in the package
+function resolveRelative(fromFile, source, hasFile) {
+  const joined = `./${path.join(path.dirname(fromFile), source)}`;
+  const candidates = [
+    joined,
+    ...ScriptExtensions.map((ext) => `${joined}${ext}`),
+    ...ScriptExtensions.map((ext) => `${joined}/index${ext}`),
+    joined.replace(/\.js$/, '.ts'),
+  ];
+  return candidates.find(hasFile);
+}
+
+function declarationsFromExport(node) {
+  if (node.type === 'ExportDefaultDeclaration') {
+    return [{ name: 'default', doc: docComment(node), ...describeValue(node.declaration) }];
+  }
+  if (node.declaration?.type === 'VariableDeclaration') {
+    return node.declaration.declarations
+      .filter(({ id }) => id.type === 'Identifier')
+      .map(({ id, init }, i) => ({ name: id.name, doc: i === 0 ? docComment(node) : undefined, ...describeValue(init) }));
+  }
+  if (node.declaration) {
+    return [{ name: node.declaration.id.name, doc: docComment(node), ...describeValue(node.declaration) }];
+  }
+  return node.specifiers.map((specifier) => ({
+    name: specifier.exported.name ?? specifier.exported.value,
+    kind: 'value',
+  }));
+}
+
+function collectModuleExports(file, getAST, visited = new Set()) {
+  const ast = getAST(file);
+  if (!ast || visited.has(file)) {
+    return [];
+  }
+  visited.add(file);
+  return ast.body.flatMap((node) => {
+    if (node.type === 'ExportAllDeclaration') {
+      if (node.exported) {
+        return [{ name: node.exported.name ?? node.exported.value, kind: 'value' }];
+      }
+      // export * never re-exports the default
+      const from = node.source.value.startsWith('.') && resolveRelative(file, node.source.value, (key) => !!getAST(key));
+      return from ? collectModuleExports(from, getAST, visited).filter(({ name }) => name !== 'default') : [];
+    }
+    if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+      return declarationsFromExport(node);
+    }
+    return [];
+  });
+}
+
+// where a package global is declared or assigned at the top level of one of the package's files, e.g., Foo = function () {}
+function findGlobalDeclaration(name, asts) {
+  const isGlobal = (node) => (node.type === 'Identifier' && node.name === name)
+    || (node.type === 'MemberExpression' && node.object.name === '__package_globals__' && node.property.name === name);
+  const found = asts.flatMap((ast) => ast.body.map((node) => {
+    if (node.type === 'ExpressionStatement' && node.expression.type === 'AssignmentExpression' && isGlobal(node.expression.left)) {
+      return { doc: docComment(node), ...describeValue(node.expression.right) };
+    }
+    if (node.type === 'VariableDeclaration') {
+      const declarator = node.declarations.find(({ id }) => isGlobal(id));
+      return declarator && { doc: docComment(node), ...describeValue(declarator.init) };
+    }
+    if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id && isGlobal(node.id)) {
+      return { doc: docComment(node), ...describeValue(node) };
+    }
+    return undefined;
+  }).filter(Boolean));
+  return found.find(({ doc }) => doc) || found[0] || { kind: 'value' };
+}
+
+/**
+ * what an entry point (see MeteorPackage.#writeEntryPoints) exports: everything its main module exports and the package's exported vars
+ * @param {(file: String) => Object} getAST the AST of one of the package's files (keyed ./lib/x.js)
+ * @param {String} mainModule
+ * @param {[String]} exportedVars
+ * @param {[Object]} asts every AST in the package, to find the exported vars
+ * @returns {[{ name: String, kind: String, params: [String]?, doc: String? }]}
+ */
+export function collectDeclarations(getAST, mainModule, exportedVars, asts) {
+  const declarations = new Map();
+  (mainModule ? collectModuleExports(mainModule, getAST) : []).forEach((declaration) => {
+    if (!declarations.has(declaration.name)) {
+      declarations.set(declaration.name, declaration);
+    }
+  });
+  exportedVars.forEach((name) => {
+    if (!declarations.has(name)) {
+      declarations.set(name, { name, ...findGlobalDeclaration(name, asts) });
+    }
+  });
+  return Array.from(declarations.values());
+}
+
+// the declarations of every arch, for the top level types (anything exported by any arch)
+export function mergeDeclarations(declarationsByArch) {
+  const merged = new Map();
+  declarationsByArch.flat().forEach((declaration) => {
+    if (!merged.has(declaration.name) || (!merged.get(declaration.name).doc && declaration.doc)) {
+      merged.set(declaration.name, declaration);
+    }
+  });
+  return Array.from(merged.values());
+}
+
+function declarationToDts({
+  name,
+  kind,
+  params,
+  doc,
+}) {
+  const lines = doc ? [doc] : [];
+  if (kind === 'function') {
+    lines.push(`export declare function ${name}(${params.join(', ')}): any;`);
+  }
+  else if (kind === 'class') {
+    // a class is a value and a type
+    lines.push(`export declare const ${name}: any;`, `export type ${name} = any;`);
+  }
+  else {
+    lines.push(`export declare const ${name}: any;`);
+  }
+  return lines.join('\n');
+}
+
+export function declarationsToDts(meteorName, declarations) {
+  const defaultDeclaration = declarations.find(({ name }) => name === 'default');
+  return [
+    `// generated from the exports of ${meteorName}, which doesn't ship its own declarations`,
+    ...declarations
+      .filter(({ name }) => name !== 'default' && Identifier.test(name))
+      .map(declarationToDts),
+    ...(defaultDeclaration ? [
+      ...(defaultDeclaration.doc ? [defaultDeclaration.doc] : []),
+      'declare const _default: any;',
+    ] : [
+      // the entry point always has a default export, it's undefined when the main module doesn't have one
+      'declare const _default: undefined;',
+    ]),
+    'export default _default;',
+    '',
+  ].join('\n');
+}
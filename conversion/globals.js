@@ -1,5 +1,6 @@
 import path from 'path';
 import { analyze as analyzeScope } from 'escope';
+import { walk } from 'estree-walker';
 import fsPromises from 'fs/promises';
 import { windowGlobals } from './window-globals.js';
 import { nodeNameToMeteorName } from '../helpers/helpers.js';
@@ -8,8 +9,8 @@ import maybeRewriteImportsOrExports from './ast/rewrite/import-meteor.js';
 import maybeRewriteRequire from './ast/rewrite/require.js';
 import maybeRewriteGlobalThis from './ast/rewrite/global-this.js';
 import maybeRewriteAwait from './ast/rewrite/await.js';
-import { astToCode, maybeCleanAST } from './ast/index.js';
-import replacePackageGlobalsWithImportsOrRequire from './ast/rewrite/package-globals.js';
+import { astToCode } from './ast/index.js';
+import { BuiltInRewrites, isRewriteEnabled } from './ast/rewrite/plugins.js';
 
 export const generateOptions = {
   comments: true,
@@ -35,7 +36,7 @@ const commonJSBlacklist = new Set([
 
 // QUESTION: if we ever have a package that exports a global with the same name as a "global" - what do we do, see the deletion below as an example
 // it's possible we don't need this anymore due to how we detect package global usage
-const globalBlacklist = new Set([
+export const globalBlacklist = new Set([
   'revalify',
   'window',
   'document',
@@ -118,7 +119,9 @@ function getImportStr(
     }).join('\n');
 }
 
-export function replaceGlobalsInFile(
+// the imports (or requires) a file needs for the globals it uses, and the package globals that must be rewritten
+// to read from __globals.js (see replacePackageGlobalsWithImportsOrRequire), the AST itself is left alone
+export function getImportsForFile(
   globals,
   file,
   importedGlobalsByArchMaps,
@@ -126,7 +129,6 @@ export function replaceGlobalsInFile(
   packageGetter,
   archs,
   packageGlobalsSet,
-  ast,
 ) {
   const isMultiArch = archs?.size > 1;
   const archName = archs?.size === 1 ? Array.from(archs)[0] : undefined;
@@ -161,19 +163,20 @@ export function replaceGlobalsInFile(
       imports.get(from).add(global);
     }
   });
-  let importStr;
-  if (imports.size) {
-    importStr = getImportStr(
+  if (!imports.size) {
+    return {};
+  }
+  return {
+    importStr: getImportStr(
       imports,
       isMultiArch,
       file,
       isCommon,
       packageGetter,
       archs,
-    );
-    replacePackageGlobalsWithImportsOrRequire(ast, imports.get('__globals.js') || new Set());
-  }
-  return importStr;
+    ),
+    packageGlobalsToReplace: imports.get('__globals.js') || new Set(),
+  };
 }
 
 async function maybeCleanAndGetImportTreeForSingleFile(
@@ -183,23 +186,26 @@ async function maybeCleanAndGetImportTreeForSingleFile(
   archsForFiles,
   isCommon,
   exportedMap,
-  astForFiles,
+  packageFiles,
+  onDiagnostic,
 ) {
   const baseFile = file.replace(baseFolder, '.');
-  if (astForFiles.has(baseFile)) {
+  if (packageFiles.has(baseFile)) {
     return [];
   }
   if (file.endsWith('.html') || file.endsWith('.css')) {
     return [];
   }
-  const ast = await maybeCleanAST(baseFolder, file, isCommon, exportedMap);
-  astForFiles.set(baseFile, ast);
+  const { exported, relativeImports } = await packageFiles.load(baseFolder, file, isCommon, onDiagnostic);
+  if (exported) {
+    exportedMap.set(baseFile, exported);
+  }
   const newFiles = await getImportTreeForFile(
     baseFolder,
     file,
     arch,
     archsForFiles,
-    ast,
+    relativeImports,
   );
   return newFiles;
 }
@@ -211,7 +217,8 @@ async function maybeCleanAndGetImportTreeForArch(
   archsForFiles,
   isCommon,
   exportedMap,
-  astForFiles,
+  packageFiles,
+  onDiagnostic,
 ) {
   const queue = [...entryPointsForArch];
   while (queue.length !== 0) {
@@ -229,7 +236,8 @@ async function maybeCleanAndGetImportTreeForArch(
         archsForFiles,
         isCommon,
         exportedMap,
-        astForFiles,
+        packageFiles,
+        onDiagnostic,
       );
       queue.push(...newFiles);
     }));
@@ -243,7 +251,8 @@ export async function getImportTreeForPackageAndClean(
   archsForFiles,
   isCommon,
   exportedMap,
-  astForFiles,
+  packageFiles,
+  onDiagnostic,
 ) {
   return maybeCleanAndGetImportTreeForArch(
     outputFolder,
@@ -252,7 +261,8 @@ export async function getImportTreeForPackageAndClean(
     archsForFiles,
     isCommon,
     exportedMap,
-    astForFiles,
+    packageFiles,
+    onDiagnostic,
   );
 }
 
@@ -276,18 +286,42 @@ function getGlobalsFromScope(isCommon, currentScope, writeOnly = false) {
   }));
 }
 
-async function getGlobals(
-  relativeFile,
-  map,
-  assignedMap,
-  isCommon,
-  archsForFile,
-  ast,
-) {
-  maybeRewriteImportsOrExports(ast);
-  maybeRewriteRequire(ast);
-  maybeRewriteGlobalThis(ast);
-  if (archsForFile.has('server')) {
+// the globals a converted file still relies on, anything here isn't a package global, an import or defined by the runtime
+export function unresolvedGlobals(ast, isCommon) {
+  // typeof is how code checks whether a global exists, so it's safe to use on one that doesn't
+  const typeofGuarded = new Set();
+  walk(ast, {
+    enter(node) {
+      if (node.type === 'UnaryExpression' && node.operator === 'typeof' && node.argument.type === 'Identifier') {
+        typeofGuarded.add(node.argument);
+      }
+    },
+  });
+  const scopeManager = analyzeScope(ast, {
+    ecmaVersion: 2022,
+    sourceType: 'module',
+    ignoreEval: true,
+    nodejsScope: true,
+  });
+  const currentScope = scopeManager.acquire(ast);
+  const unguarded = new Set(currentScope.through
+    .filter((reference) => !typeofGuarded.has(reference.identifier))
+    .map((reference) => reference.identifier.name));
+  return new Set(Array.from(getGlobalsFromScope(isCommon, currentScope)).filter((name) => unguarded.has(name)));
+}
+
+// NOTE: this runs the built in rewrites first, so it modifies the AST
+export function analyzeGlobals(ast, isCommon, archsForFile) {
+  if (isRewriteEnabled(BuiltInRewrites.IMPORT_METEOR)) {
+    maybeRewriteImportsOrExports(ast);
+  }
+  if (isRewriteEnabled(BuiltInRewrites.REQUIRE)) {
+    maybeRewriteRequire(ast);
+  }
+  if (isRewriteEnabled(BuiltInRewrites.GLOBAL_THIS)) {
+    maybeRewriteGlobalThis(ast);
+  }
+  if (archsForFile.has('server') && isRewriteEnabled(BuiltInRewrites.AWAIT)) {
     maybeRewriteAwait(ast, archsForFile.size !== 1);
   }
   const scopeManager = analyzeScope(ast, {
@@ -298,27 +332,30 @@ async function getGlobals(
     nodejsScope: true,
   });
   const currentScope = scopeManager.acquire(ast);
-  const all = getGlobalsFromScope(isCommon, currentScope);
-  const assigned = getGlobalsFromScope(isCommon, currentScope, true);
-  map.set(relativeFile, all);
-  assignedMap.set(relativeFile, assigned);
+  return {
+    all: getGlobalsFromScope(isCommon, currentScope),
+    assigned: getGlobalsFromScope(isCommon, currentScope, true),
+  };
 }
 
 export async function getPackageGlobals(
   isCommon,
   archsForFiles,
-  asts,
+  packageFiles,
+  onDiagnostic,
 ) {
   const map = new Map();
   const assignedMap = new Map();
   const files = Array.from(archsForFiles.keys());
-  await Promise.all(files.map((file) => getGlobals(
-    file,
-    map,
-    assignedMap,
-    isCommon,
-    archsForFiles.get(file),
-    asts.get(file),
-  )));
+  await Promise.all(files.map(async (file) => {
+    const { all, assigned } = await packageFiles.analyzeGlobals(
+      file,
+      isCommon,
+      Array.from(archsForFiles.get(file)),
+      onDiagnostic,
+    );
+    map.set(file, new Set(all));
+    assignedMap.set(file, new Set(assigned));
+  }));
   return { all: map, assigned: assignedMap };
 }
@@ -2,18 +2,30 @@ import fsPromises from 'fs/promises';
 import path from 'path';
 import { pathExists } from 'fs-extra';
 import { error as errorLog } from '../helpers/log';
+import { isScriptFile, ScriptExtensions } from './compilers.js';
+
+async function resolveWithExtension(fileWithoutExtension) {
+  const exists = await Promise.all(ScriptExtensions.map((ext) => pathExists(`${fileWithoutExtension}${ext}`)));
+  const index = exists.indexOf(true);
+  return index !== -1 && `${fileWithoutExtension}${ScriptExtensions[index]}`;
+}
 
 export async function resolveFile(actualFile) {
-  if (await pathExists(`${actualFile}.js`)) {
-    return `${actualFile}.js`;
+  const withExtension = await resolveWithExtension(actualFile);
+  if (withExtension) {
+    return withExtension;
   }
   if (await pathExists(actualFile)) {
     const fileEntry = await fsPromises.stat(actualFile);
     if (fileEntry.isDirectory()) {
-      return `${actualFile}/index.js`;
+      return (await resolveWithExtension(`${actualFile}/index`)) || `${actualFile}/index.js`;
     }
     return actualFile;
   }
+  // typescript (ESM style) imports reference the .js file that will be generated, e.g., import './foo.js' for foo.ts
+  if (actualFile.endsWith('.js') && await pathExists(actualFile.replace(/\.js$/, '.ts'))) {
+    return actualFile.replace(/\.js$/, '.ts');
+  }
   return false;
 }
 
@@ -29,10 +41,15 @@ function nodeLoadsFile(node) {
   return ImportExportTypes.has(node.type) && node.source && node.source.value.match(/^\.\.?\//);
 }
 
-export async function getImportTreeForFile(baseFolder, absoluteFile, arch, archsForFilesMap, ast) {
+// the relative files a file imports or re-exports from, e.g., ./lib/helpers.js
+export function getRelativeImports(ast) {
+  return Array.from(new Set(ast.body.filter(nodeLoadsFile).map((node) => node.source.value)));
+}
+
+export async function getImportTreeForFile(baseFolder, absoluteFile, arch, archsForFilesMap, relativeImports) {
   const actualFile = absoluteFile;
   try {
-    if (!actualFile || !actualFile.endsWith('.js')) {
+    if (!actualFile || !isScriptFile(actualFile)) {
       return [];
     }
     const baseFile = actualFile.replace(baseFolder, '.');
@@ -46,13 +63,7 @@ export async function getImportTreeForFile(baseFolder, absoluteFile, arch, archs
       archsForFilesMap.get(baseFile).add(arch);
     }
 
-    const toFind = new Set();
-    ast.body.forEach((node) => {
-      if (nodeLoadsFile(node)) {
-        toFind.add(node.source.value);
-      }
-    });
-    return Promise.all(Array.from(toFind).map(async (newFile) => {
+    return Promise.all(relativeImports.map(async (newFile) => {
       const result = await resolveFile(path.join(path.dirname(actualFile), newFile));
       return result;
     }));
@@ -1,5 +1,6 @@
 import path from 'path';
 import { getImportTreeForPackageAndClean } from './globals.js';
+import { isScriptFile } from './compilers.js';
 
 export default class MeteorArch {
   #archName;
@@ -152,7 +153,8 @@ export default class MeteorArch {
     archsForFiles,
     isCommon,
     exportedMap,
-    astForFiles,
+    packageFiles,
+    onDiagnostic,
   ) {
     return getImportTreeForPackageAndClean(
       baseFolder,
@@ -160,14 +162,15 @@ export default class MeteorArch {
         ...(this.getMainModule() ? [path.join(baseFolder, this.getMainModule())] : []),
         ...Array.from(this.getImports())
           .filter((file) => file.startsWith('.'))
-          .filter((file) => file.endsWith('.js'))
+          .filter((file) => isScriptFile(file))
           .map((file) => path.join(baseFolder, file)),
       ],
       this.#archName,
       archsForFiles,
       isCommon,
       exportedMap,
-      astForFiles,
+      packageFiles,
+      onDiagnostic,
     );
   }
 
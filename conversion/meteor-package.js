@@ -6,7 +6,6 @@ import semver from 'semver';
 import rimraf from 'rimraf';
 import util from 'util';
 import AsyncLock from 'async-lock';
-import { walk } from 'estree-walker';
 import { dirSync } from 'tmp';
 
 import {
@@ -16,24 +15,36 @@ import {
   nodeNameToMeteorName,
 } from '../helpers/helpers.js';
 
-import { ParentArchs, ExcludePackageNames } from '../constants.js';
-import { getPackageGlobals, replaceGlobalsInFile, globalStaticImports } from './globals.js';
-import replaceImportsInAst from './ast/rewrite/replace-imports';
+import {
+  ParentArchs,
+  ExcludePackageNames,
+  CommonJSPackageNames,
+  ClientOnlyExtensions,
+} from '../constants.js';
+import { getPackageGlobals, getImportsForFile, globalStaticImports } from './globals.js';
+import {
+  BuiltInRewrites,
+  RewritePhases,
+  isRewriteEnabled,
+  hasRewritePlugins,
+  runRewritePlugins,
+} from './ast/rewrite/plugins.js';
 import packageJsContext from './package-js-context.js';
 import { getExportStr, getExportMainModuleStr } from './content.js';
 import MeteorArch from './meteor-arch.js';
 import { warn, error as logError } from '../helpers/log.js';
-import listFilesInDir from '../helpers/list-files';
-import { astToCode } from './ast/index.js';
+import { DiagnosticCodes, Severity } from './report.js';
+import { outputFileName } from './compilers.js';
+import { isCoffeeScriptFile } from './coffeescript.js';
+import PackageFiles from './package-files.js';
+import { declarationsToDts, mergeDeclarations } from './declarations.js';
+import staticFile from '../helpers/static-file.js';
 
 const rimrafAsync = util.promisify(rimraf);
 
 // we need a "noop" package for when we have an import/export that should only be available to specific archs
 const NOOP_PACKAGE_NAME = '@meteor/noop';
 
-// we're no longer going to inject asset code into a package at runtime - instead we'll make it part of a package.
-const ASSETS_PACKAGE_NAME = '@meteor/assets';
-
 const writingSymbol = Symbol('writing');
 
 const supportedISOPackBuilds = new Map([
@@ -44,12 +55,6 @@ const supportedISOPackBuilds = new Map([
   ['os', 'server'],
 ]);
 
-const ClientOnlyExtensions = [
-  '.html',
-  '.less',
-  '.css',
-];
-
 const DefaultArchs = ['client', 'server'];
 
 // Package names can only contain lowercase ASCII alphanumerics, dash, dot, or colon
@@ -57,14 +62,6 @@ export const TestSuffix = '--test--';
 
 const DefaultClientArchs = ['client'];
 
-const CommonJSPackageNames = new Set([
-  'jquery',
-  'underscore',
-  'softwarerero:accounts-t9n',
-  'ecmascript-runtime-client',
-  'package-version-parser',
-]);
-
 // TODO: modern actually maps to web.browser and server, legacy maps to web.browser.legacy and web.cordova
 // it's not super trivial to implement this (getArch and all places it uses will now potentially return an array)
 const SynonymArchs = new Map([
@@ -102,11 +99,12 @@ function sortImports(imports) {
 }
 
 function getImportStr(importsSet, isCommon) {
+  const imports = sortImports(Array.from(importsSet)).map((imp) => outputFileName(imp));
   if (isCommon) {
-    return sortImports(Array.from(importsSet)).map((imp) => `require("${imp}");`).join('\n');
+    return imports.map((imp) => `require("${imp}");`).join('\n');
   }
 
-  return sortImports(Array.from(importsSet)).map((imp) => `import "${imp}";`).join('\n');
+  return imports.map((imp) => `import "${imp}";`).join('\n');
 }
 
 const meteorVersionPlaceholderSymbol = Symbol('meteor-version-placeholder');
@@ -122,6 +120,12 @@ export default class MeteorPackage {
 
   #typescriptDefinitionFile;
 
+  // the build plugins this package registers, their compilers are run by the client and server builds (see build-run/build-plugins)
+  #buildPlugins = [];
+
+  // Cordova.depends, only used by the web.cordova build's plugin manifest
+  #cordovaDependencies = {};
+
   #folderName;
 
   #meteorName;
@@ -153,7 +157,8 @@ export default class MeteorPackage {
 
   #lock = new AsyncLock();
 
-  #asts = new Map();
+  // the package's files and their ASTs, in this thread or one of the job's workers (see #packageFiles)
+  #files;
 
   // actually fully loaded everything we can (including ASTs) without loading all dependencies
   #fullyLoadedWithoutDeps = false;
@@ -164,6 +169,9 @@ export default class MeteorPackage {
 
   #finalOutput = new Map();
 
+  // the source map for each file in #finalOutput (if we could generate one), mapping back to the package's source
+  #sourceMaps = new Map();
+
   #globalsByFile;
 
   #packageGlobalsByFile;
@@ -203,6 +211,17 @@ export default class MeteorPackage {
 
   #type = MeteorPackage.Types.OTHER;
 
+  // the package.json this package was loaded from, only set for NODE packages
+  #nodeJSON;
+
+  // only local packages have a source hash (see ConversionJob.sourceHash), it's written to meteorTmp so we can skip unchanged packages
+  #sourceHash;
+
+  // the source hash folded with everything else the output depends on (see ConversionJob.conversionHash)
+  #conversionHash;
+
+  #dependencyVersions;
+
   #loadedPromise;
 
   #loadedResolve;
@@ -225,8 +244,6 @@ export default class MeteorPackage {
 
   #job;
 
-  #filesToWatch = [];
-
   #exportedGlobals;
 
   #exports = new Map();
@@ -274,15 +291,33 @@ export default class MeteorPackage {
     }
   }
 
-  allowRebuild() {
-    this.#isFullyLoaded = false;
-    this.#alreadyWritten = false;
-    this.#cleanupReadyForNextEnsureAndWrite();
+  // records a hack/warning against this package in the job's conversion report, it's up to the caller whether to also log it
+  #diagnose(diagnostic) {
+    this.#job?.report.add({
+      packageName: this.#meteorName,
+      ...diagnostic,
+    });
+  }
+
+  // every lock is acquired through here so the job knows which locks each package holds when it deadlocks (see WaitGraph)
+  #acquire(lockName, fn) {
+    return this.#lock.acquire(lockName, () => (
+      this.#job ? this.#job.holding(this.#meteorName, lockName.description || lockName, fn) : fn()
+    ));
+  }
+
+  #waitFor(target, reason, promise) {
+    return this.#job ? this.#job.waitFor(this.#meteorName, target, reason, promise) : promise;
+  }
+
+  // parsing and rewriting a large package can take longer than the job's stall timeout, this tells it that's progress
+  #working(activity, fn) {
+    return this.#job ? this.#job.working(this.#meteorName, activity, fn) : fn();
   }
 
   async cancelAndDelete(outputParentFolder) {
     this.#cancelled = true;
-    await this.#lock.acquire(
+    await this.#acquire(
       writingSymbol,
       () => rimrafAsync(path.join(outputParentFolder, meteorNameToNodePackageDir(this.#meteorName))),
     );
@@ -339,10 +374,6 @@ export default class MeteorPackage {
     return [MeteorPackage.Types.LOCAL, MeteorPackage.Types.SHARED].includes(this.#type);
   }
 
-  filesToWatch() {
-    return this.#filesToWatch;
-  }
-
   static meteorNameToNodeName(name) {
     return meteorNameToNodeName(name);
   }
@@ -490,6 +521,27 @@ export default class MeteorPackage {
     Object.assign(this.#dependencies, deps);
   }
 
+  addCordovaDeps(deps) {
+    Object.assign(this.#cordovaDependencies, deps);
+  }
+
+  addBuildPlugin({
+    name,
+    use = [],
+    sources = [],
+    npmDependencies = {},
+  }) {
+    const uses = (Array.isArray(use) ? use : [use])
+      .map((dep) => dep.split('@')[0])
+      .filter((dep) => !ExcludePackageNames.has(dep));
+    this.#buildPlugins.push({
+      name,
+      sources,
+      uses: uses.map((dep) => meteorNameToNodeName(dep)),
+    });
+    this.addNpmDeps(npmDependencies);
+  }
+
   addImport(item, archNames, opts = { testOnly: false }) {
     if (opts.testOnly) {
       this.#hasTests = true;
@@ -500,7 +552,7 @@ export default class MeteorPackage {
     this.#importOrder += 1;
     let resolvedArchNames = archNames;
     // hack for old packages (iron:*) that add html files to the server by omitting the archs arg.
-    if (!resolvedArchNames && ClientOnlyExtensions.find((ext) => item.endsWith(ext))) {
+    if (!resolvedArchNames && Array.from(ClientOnlyExtensions).find((ext) => item.endsWith(ext))) {
       resolvedArchNames = DefaultClientArchs;
     }
     const actualArchs = this.getArchs(resolvedArchNames);
@@ -635,6 +687,7 @@ export default class MeteorPackage {
         return [
           arch.getExportArchName(),
           {
+            ...(this.#generatesTypes() && { types: `${fileWithoutSiffix}.d.ts` }),
             import: `${fileWithoutSiffix}.js`,
             require: !this.isCommon() ? `${fileWithoutSiffix}.cjs` : `${fileWithoutSiffix}.js`,
           },
@@ -661,6 +714,20 @@ export default class MeteorPackage {
     };
   }
 
+  // the packages this package uses (weak and unordered included) or implies
+  dependencyNames() {
+    if (this.#nodeJSON) {
+      const { uses = [], implies = [] } = this.#nodeJSON.meteorTmp || {};
+      return [...uses, ...implies].map(({ name }) => nodeNameToMeteorName(name));
+    }
+    return [...this.#uses, ...this.#implies].map(({ name }) => name);
+  }
+
+  // NODE packages don't track everything toJSON needs (e.g., weak or unordered uses), so we return what they were loaded from
+  getPackageJson() {
+    return this.#nodeJSON || this.toJSON();
+  }
+
   toJSON() {
     const exportedVars = Array.from(this.#exports.entries()).map(([symbol, { archs, opts }]) => ({
       name: symbol,
@@ -673,6 +740,7 @@ export default class MeteorPackage {
       description: this.#description,
       type: this.isCommon() ? 'commonjs' : 'module',
       ...(this.#typescriptDefinitionFile && { types: `./${this.#typescriptDefinitionFile}` }),
+      ...(this.#generatesTypes() && { types: './__types.d.ts' }),
       dependencies: this.#rewriteDependencies(this.#dependencies),
 
       devDependencies: this.#rewriteDependencies({
@@ -693,6 +761,8 @@ export default class MeteorPackage {
       },
       imports: this.#imports,
       meteor: {
+        ...(this.#buildPlugins.length && { buildPlugins: this.#buildPlugins }),
+        ...(Object.keys(this.#cordovaDependencies).length && { cordovaDependencies: this.#cordovaDependencies }),
         assets: {
           ...(Object.fromEntries(this.getAllArchs().map((arch) => [
             arch.archName,
@@ -702,6 +772,11 @@ export default class MeteorPackage {
       },
       meteorTmp: {
         ...(this.#isLazy && { lazy: true }),
+        ...(this.#sourceHash && {
+          sourceHash: this.#sourceHash,
+          conversionHash: this.#conversionHash,
+          dependencyVersions: this.#dependencyVersions,
+        }),
         exportedVars,
         ...(this.#hasTests ? {
           testUses: this.#testPackage.#uses.map(({ name, constraint, ...rest }) => ({
@@ -742,6 +817,11 @@ export default class MeteorPackage {
         const meteorPackage = this.getDependency(packageName);
         if (!meteorPackage) {
           warn(`couldn't recurse into ${packageName} from ${this.#meteorName}`);
+          this.#diagnose({
+            code: DiagnosticCodes.MISSING_DEPENDENCY,
+            severity: Severity.WARNING,
+            message: `couldn't recurse into ${packageName}, its exports won't be available as globals`,
+          });
           return;
         }
         const depGlobals = meteorPackage.#calculateExportedGlobals();
@@ -809,13 +889,21 @@ export default class MeteorPackage {
     return this.getArch(archName).getExports();
   }
 
+  #packageFiles() {
+    if (!this.#files) {
+      this.#files = this.#job ? this.#job.createPackageFiles() : new PackageFiles();
+    }
+    return this.#files;
+  }
+
   async #loadImportTreeForPackageAndClean() {
     await Promise.all(this.getActiveLeafArchs().map((arch) => arch.getImportTreeForPackageAndClean(
       this.#folderPath,
       this.#archsForFiles,
       this.isCommon(),
       this.#loadedExports,
-      this.#asts,
+      this.#packageFiles(),
+      (diagnostic) => this.#diagnose(diagnostic),
     )));
   }
 
@@ -840,7 +928,7 @@ export default class MeteorPackage {
                 ...(arch.getMainModule()
                   ? [await getExportMainModuleStr(
                     this.#meteorName,
-                    arch.getMainModule(),
+                    outputFileName(arch.getMainModule()),
                     this.isCommon(),
                     this.#defaultExportsForMainModules.get(arch.getMainModule()),
                   )]
@@ -872,8 +960,30 @@ export default class MeteorPackage {
     ]);
   }
 
+  // packages that ship their own declarations keep them
+  #generatesTypes() {
+    return !this.#typescriptDefinitionFile && !this.#isTest;
+  }
+
+  // one .d.ts per entry point and the union of them all for the top level types
+  async #writeDeclarations(outputFolder) {
+    const files = this.#packageFiles();
+    const declarationsByArch = await Promise.all(this.getActiveLeafArchs().map(async (arch) => {
+      const declarations = await files.declarations(arch.getMainModule(), arch.getExports());
+      await fsPromises.writeFile(
+        `${outputFolder}/${this.#filePrefix}__${arch.archName}.d.ts`,
+        declarationsToDts(this.#meteorName, declarations),
+      );
+      return declarations;
+    }));
+    return fsPromises.writeFile(
+      `${outputFolder}/__types.d.ts`,
+      declarationsToDts(this.#meteorName, mergeDeclarations(declarationsByArch)),
+    );
+  }
+
   async writeToNpmModule(outputParentFolderMapping, convertTests) {
-    return this.#lock.acquire(writingSymbol, () => this.#writeToNpmModule(outputParentFolderMapping, convertTests));
+    return this.#acquire(writingSymbol, () => this.#writeToNpmModule(outputParentFolderMapping, convertTests));
   }
 
   async #setupOutputFolder(outputFolder) {
@@ -889,24 +999,37 @@ export default class MeteorPackage {
         {
           filter: (src, dest) => {
             const relative = dest.replace(outputFolder, '.');
-            if (this.#asts.has(relative)) {
+            if (this.#packageFiles().has(relative)) {
               return false;
             }
             return !src.includes('.npm') && !src.includes('package.json');
           },
         },
       );
-      this.#filesToWatch = (await listFilesInDir(actualPath)).filter((fileName) => !fileName.includes('/.npm/'));
     }
   }
 
   async #writeConvertedFiles(outputFolder) {
-    return Promise.all(Array.from(this.#globalsByFile.keys()).map((file) => {
-      const fullPath = path.join(outputFolder, file);
-      return fsPromises.writeFile(
-        fullPath,
-        this.#finalOutput.get(file),
-      );
+    return Promise.all(Array.from(this.#globalsByFile.keys()).map(async (file) => {
+      const fullPath = path.join(outputFolder, outputFileName(file));
+      const sourceMap = this.#sourceMaps.get(file);
+      if (!sourceMap) {
+        return fsPromises.writeFile(
+          fullPath,
+          this.#finalOutput.get(file),
+        );
+      }
+      const sourceMapFileName = `${path.basename(fullPath)}.map`;
+      return Promise.all([
+        fsPromises.writeFile(
+          fullPath,
+          `${this.#finalOutput.get(file)}\n//# sourceMappingURL=${sourceMapFileName}`,
+        ),
+        fsPromises.writeFile(
+          path.join(path.dirname(fullPath), sourceMapFileName),
+          JSON.stringify(sourceMap),
+        ),
+      ]);
     }));
   }
 
@@ -941,14 +1064,21 @@ export default class MeteorPackage {
     exportNamesSet.delete('module');
     exportNamesSet.delete('Npm');
     exportNamesSet.delete('Assets');
-    if (hasAssets) {
-      this.addMeteorDependencies([nodeNameToMeteorName(ASSETS_PACKAGE_NAME)], ['server']);
-    }
     if ((hasRequire && !hasExports) && this.getArch('server')?.getMainModule()) {
       warn(`esm module ${this.#meteorName} using require, this might not work`);
+      this.#diagnose({
+        code: DiagnosticCodes.ESM_USING_REQUIRE,
+        severity: Severity.WARNING,
+        message: 'esm module using require, this might not work',
+      });
     }
     if ((hasExports) && this.getArch('server')?.getMainModule()) {
       logError(`esm module ${this.#meteorName} using exports (and maybe require too), this probably wont work`);
+      this.#diagnose({
+        code: DiagnosticCodes.ESM_USING_EXPORTS,
+        severity: Severity.ERROR,
+        message: 'esm module using exports (and maybe require too), this probably wont work',
+      });
     }
     if ((hasModule || hasNpm || hasRequire) && !this.isCommon()) {
       this.#imports['#module'] = {
@@ -969,6 +1099,21 @@ export default class MeteorPackage {
         ),
       ]);
     }
+    // we don't inject asset code into a package at runtime, the package gets its own copy of the server's Assets implementation
+    // (static/create-assets.js) - meteor doesn't have Assets on the client
+    if (hasAssets && !this.isCommon()) {
+      this.#imports['#assets'] = {
+        node: './__server_assets.js',
+        default: './__client_assets.js',
+      };
+      promises.push(
+        fsPromises.copyFile(staticFile('create-assets.js'), `${outputFolder}/__server_assets.js`),
+        fsPromises.writeFile(
+          `${outputFolder}/__client_assets.js`,
+          'export default function createAssets() {\n  return undefined;\n}\n',
+        ),
+      );
+    }
     if (this.isCommon()) {
       promises.push(fsPromises.writeFile(
         `${outputFolder}/__globals.js`,
@@ -980,13 +1125,13 @@ export default class MeteorPackage {
         `${outputFolder}/__globals.js`,
         [
           ...(hasNpm || hasRequire ? ['import module from "#module";'] : []),
-          ...hasAssets ? [`import { createAssets } from '${ASSETS_PACKAGE_NAME}'`] : [],
+          ...hasAssets ? ['import createAssets from "#assets";'] : [],
           'export default {',
           ...(exportNamesSet.size ? [`  ${Array.from(exportNamesSet).sort().map((name) => `${name}: undefined`).join(',\n  ')},`] : []),
           ...(hasNpm ? ['  Npm: { require: module.createRequire(import.meta.url) },'] : []),
           ...(hasModule ? ['  module: { id: import.meta.url },'] : []),
           ...(hasRequire ? ['  require: module.createRequire(import.meta.url),'] : []),
-          ...(hasAssets ? ['   Assets: createAssets(import.meta.url),'] : []),
+          ...(hasAssets ? ['  Assets: createAssets(import.meta.url),'] : []),
           '}',
         ].join('\n'),
       ));
@@ -1005,11 +1150,17 @@ export default class MeteorPackage {
     try {
       const promises = [];
       const outputFolder = path.resolve(`${outputParentFolder}/${meteorNameToNodePackageDir(this.#meteorName)}`);
+      if (this.#sourceHash) {
+        ({ conversionHash: this.#conversionHash, dependencyVersions: this.#dependencyVersions } = await this.#job.conversionHash(this));
+      }
 
       await this.#setupOutputFolder(outputFolder);
       // here we're writing out all the files
       promises.push(this.#writeConvertedFiles(outputFolder));
       promises.push(this.#writeEntryPoints(outputFolder));
+      if (this.#generatesTypes()) {
+        promises.push(this.#writeDeclarations(outputFolder));
+      }
 
       if (convertTests && this.#hasTests) {
         promises.push(this.#testPackage.#writeConvertedFiles(outputFolder));
@@ -1158,6 +1309,9 @@ export default class MeteorPackage {
       debugOnly: isopack.debugOnly,
       testOnly: isopack.testOnly,
     });
+    if (isopack.cordovaDependencies) {
+      this.addCordovaDeps(isopack.cordovaDependencies);
+    }
     const builds = isopack.builds.filter((build) => supportedISOPackBuilds.has(build.arch));
     // I'm not totally sure this is correct, but iron:router is an example of this
     // it declares only a web.browser build but should be exporting it's symbols for web.browser and web.browser.legacy
@@ -1188,7 +1342,7 @@ export default class MeteorPackage {
     this.#waitingWrite = (await Promise.all(
       Array.from(this.#strongDependencies).map((packageNameAndMaybeVersionConstraint) => this.#job.ensurePackage(
         packageNameAndMaybeVersionConstraint,
-        { fromTest: this.#isTest || this.#onlyRequiredByTest },
+        { fromTest: this.#isTest || this.#onlyRequiredByTest, requestedBy: this.#meteorName },
       )),
     )).filter(Boolean);
     this.#loadedResolve();
@@ -1204,7 +1358,7 @@ export default class MeteorPackage {
         try {
           return await this.#job.ensurePackage(
             packageNameAndMaybeVersionConstraint,
-            { fromTest: this.#isTest || this.#onlyRequiredByTest },
+            { fromTest: this.#isTest || this.#onlyRequiredByTest, requestedBy: this.#meteorName },
           );
         }
         catch (e) {
@@ -1216,7 +1370,7 @@ export default class MeteorPackage {
         try {
           return await this.#job.ensurePackage(
             packageNameAndMaybeVersionConstraint,
-            { fromTest: this.#isTest, optional: true },
+            { fromTest: this.#isTest, optional: true, requestedBy: this.#meteorName },
           );
         }
         catch (e) {
@@ -1245,10 +1399,13 @@ export default class MeteorPackage {
     }
   }
 
-  async loadFromNodeJSON(packageJSON) {
+  // a local package whose source hasn't changed keeps its type, so it's found in (and depended on from) its own output directory
+  async loadFromNodeJSON(packageJSON, type = MeteorPackage.Types.NODE) {
     try {
-      this.#type = MeteorPackage.Types.NODE;
-      this.#testPackage.#type = MeteorPackage.Types.NODE;
+      this.#type = type;
+      this.#testPackage.#type = type;
+      this.#nodeJSON = packageJSON;
+      this.#sourceHash = packageJSON.meteorTmp?.sourceHash;
       this.#isFullyLoaded = true;
       this.setBasic({
         name: nodeNameToMeteorName(packageJSON.name),
@@ -1281,6 +1438,11 @@ export default class MeteorPackage {
       }
       if (!packageJSON.meteorTmp?.uses) {
         warn(`${packageJSON.name} doesn't have a meteorTmp.uses`);
+        this.#diagnose({
+          code: DiagnosticCodes.MISSING_USES,
+          severity: Severity.WARNING,
+          message: 'the already converted package.json doesn\'t have a meteorTmp.uses, it will be reconverted',
+        });
         return false;
       }
       packageJSON.meteorTmp.uses.forEach(({
@@ -1332,18 +1494,27 @@ export default class MeteorPackage {
       return;
     }
     this.#astsLoaded = true;
-    await this.#loadImportTreeForPackageAndClean();
+    await this.#working('parse', async () => {
+      await this.#loadImportTreeForPackageAndClean();
+      const exportedVars = this.getExportedVars();
+      const files = this.#packageFiles();
+      await Promise.all(files.files()
+        .filter((file) => isCoffeeScriptFile(file))
+        .map((file) => files.stripExportedVars(file, exportedVars)));
+    });
   }
 
   async #ensureLoadedPackageGlobals() {
     if (this.#globalsByFile) {
       return;
     }
-    const { all: globalsByFile, assigned: packageGlobalsByFile } = await getPackageGlobals(
+    this.#packageFiles().files().forEach((file) => this.#runRewritePlugins(RewritePhases.BEFORE_GLOBALS, file));
+    const { all: globalsByFile, assigned: packageGlobalsByFile } = await this.#working('globals', () => getPackageGlobals(
       this.isCommon(),
       this.#archsForFiles,
-      this.#asts,
-    );
+      this.#packageFiles(),
+      (diagnostic) => this.#diagnose(diagnostic),
+    ));
     this.#globalsByFile = globalsByFile;
     this.#packageGlobalsByFile = packageGlobalsByFile;
   }
@@ -1362,26 +1533,14 @@ export default class MeteorPackage {
     });
   }
 
-  #ensureLoadedMainDefaultExport() {
-    this.getAllArchs().forEach((arch) => {
+  async #ensureLoadedMainDefaultExport() {
+    await Promise.all(this.getAllArchs().map(async (arch) => {
       const mainModule = arch.getMainModule();
       if (!mainModule) {
         return;
       }
-      const ast = this.#asts.get(mainModule);
-      let hasDefault;
-      walk(ast, {
-        enter(node) {
-          if (node.type === 'ExportDefaultDeclaration') {
-            hasDefault = true;
-          }
-          else if (node.type === 'ExportSpecifier' && node.exported.name === 'default' && node.local.name === 'default') {
-            hasDefault = true;
-          }
-        },
-      });
-      this.#defaultExportsForMainModules.set(mainModule, hasDefault);
-    });
+      this.#defaultExportsForMainModules.set(mainModule, await this.#packageFiles().hasDefaultExport(mainModule));
+    }));
   }
 
   async #ensureFullyLoadedWithoutDeps() {
@@ -1391,14 +1550,14 @@ export default class MeteorPackage {
     if (this.#fullyLoadedWithoutDeps) {
       return;
     }
-    await this.#lock.acquire('fullLoadWithoutDeps', async () => {
+    await this.#acquire('fullLoadWithoutDeps', async () => {
       if (this.#fullyLoadedWithoutDeps) {
         return;
       }
       await this.#ensureASTs();
       await this.#ensureLoadedPackageGlobals();
       this.#ensureLoadedExports();
-      this.#ensureLoadedMainDefaultExport();
+      await this.#ensureLoadedMainDefaultExport();
       if (this.#testPackage) {
         await this.#testPackage.#ensureFullyLoadedWithoutDeps();
         Array.from(this.#testPackage.#archsForFiles.keys()).forEach((key) => {
@@ -1422,8 +1581,10 @@ export default class MeteorPackage {
     this.#astsLoaded = false;
     this.#globalsByFile = undefined;
     this.#archsForFiles = new Map();
-    this.#asts = new Map();
+    this.#files?.dispose();
+    this.#files = undefined;
     this.#finalOutput = new Map();
+    this.#sourceMaps = new Map();
     if (this.#testPackage) {
       this.#testPackage.#cleanupReadyForNextEnsureAndWrite();
     }
@@ -1434,15 +1595,15 @@ export default class MeteorPackage {
       return;
     }
     await this.#ensureFullyLoadedWithoutDeps();
-    await this.#lock.acquire('fullLoadWithDeps', async () => {
+    await this.#acquire('fullLoadWithDeps', async () => {
       if (this.#fullyLoadedWithDeps) {
         return;
       }
       await Promise.all(Array.from(this.#dependenciesToEnsure).map(async (depName) => {
         const dep = this.getDependency(depName);
-        return dep.#ensureAllDependenciesLoaded();
+        return this.#waitFor(dep.meteorName, 'fullLoadWithDeps', dep.#ensureAllDependenciesLoaded());
       }));
-      await this.#loadedPromise;
+      await this.#waitFor(this.#meteorName, 'loaded', this.#loadedPromise);
       this.#fullyLoadedWithDeps = true;
     });
   }
@@ -1458,46 +1619,96 @@ export default class MeteorPackage {
     return this.#testPackage.ensurePackageFullyLoaded();
   }
 
+  #runRewritePlugins(phase, file) {
+    // the job never uses workers when there are plugins, so the AST is always available here
+    if (!hasRewritePlugins()) {
+      return;
+    }
+    const pluginNames = runRewritePlugins(phase, this.#packageFiles().ast(file), {
+      file,
+      archs: this.#archsForFiles.get(file) || new Set(),
+      meteorPackage: this,
+    });
+    pluginNames.forEach((pluginName) => this.#diagnose({
+      code: DiagnosticCodes.PLUGIN_REWRITE,
+      severity: Severity.INFO,
+      message: `rewritten by the ${pluginName} plugin (${phase})`,
+      file,
+      rewrite: pluginName,
+    }));
+  }
+
   async #replacePackageGlobals() {
     if (this.#type === MeteorPackage.Types.NODE) {
       return;
     }
-    const serverOnlyImportsSet = new Set();
-    const packageGlobals = new Set(Array.from(this.#packageGlobalsByFile.values()).flatMap((v) => Array.from(v)));
-    const allGlobals = new Set(Array.from(this.#globalsByFile.values()).flatMap((v) => Array.from(v)));
-    const importedGlobalsByArch = this.getImportedGlobalsMaps(allGlobals);
-    await Promise.all(Array.from(this.#globalsByFile.entries()).map(async ([file, globals]) => {
-      if (!this.#finalOutput.has(file)) {
-        const ast = this.#asts.get(file);
-        const archs = this.#archsForFiles.get(file);
-        const isMultiArch = archs?.size > 1;
-        replaceImportsInAst(ast, isMultiArch, serverOnlyImportsSet, file);
-        const importStr = replaceGlobalsInFile(
-          globals,
-          file,
-          importedGlobalsByArch,
-          this.isCommon(),
-          (name) => this.getDependency(name),
-          archs,
-          packageGlobals,
-          ast,
-        );
-        const output = [
-          importStr,
-          astToCode(ast),
-        ].filter(Boolean).join('\n');
-        this.#finalOutput.set(file, output);
+    // the files are rewritten asynchronously (in a worker with --jobs), so two callers could otherwise rewrite a file twice
+    await this.#acquire('replacePackageGlobals', () => this.#working('rewrite', async () => {
+      const serverOnlyImportsSet = new Set();
+      const packageGlobals = new Set(Array.from(this.#packageGlobalsByFile.values()).flatMap((v) => Array.from(v)));
+      const allGlobals = new Set(Array.from(this.#globalsByFile.values()).flatMap((v) => Array.from(v)));
+      const importedGlobalsByArch = this.getImportedGlobalsMaps(allGlobals);
+      const files = this.#packageFiles();
+      await Promise.all(Array.from(this.#globalsByFile.entries()).map(async ([file, globals]) => {
+        if (!this.#finalOutput.has(file)) {
+          const archs = this.#archsForFiles.get(file);
+          const isMultiArch = archs?.size > 1;
+          const serverOnlyImportsForFile = isRewriteEnabled(BuiltInRewrites.REPLACE_IMPORTS)
+            ? await files.replaceImports(file, isMultiArch)
+            : [];
+          serverOnlyImportsForFile.forEach((serverOnlyImport) => {
+            serverOnlyImportsSet.add(serverOnlyImport);
+            this.#diagnose({
+              code: DiagnosticCodes.SERVER_ONLY_IMPORT,
+              severity: Severity.INFO,
+              message: `${serverOnlyImport} is only imported on the server`,
+              file,
+              rewrite: 'replace-imports',
+            });
+          });
+          const { importStr, packageGlobalsToReplace } = getImportsForFile(
+            globals,
+            file,
+            importedGlobalsByArch,
+            this.isCommon(),
+            (name) => this.getDependency(name),
+            archs,
+            packageGlobals,
+          );
+          if (packageGlobalsToReplace) {
+            await files.replacePackageGlobals(file, Array.from(packageGlobalsToReplace));
+          }
+          this.#runRewritePlugins(RewritePhases.AFTER_GLOBALS, file);
+          const { code, map } = await files.print(
+            file,
+            path.basename(outputFileName(file)),
+            (diagnostic) => this.#diagnose(diagnostic),
+          );
+          const output = [
+            importStr,
+            code,
+          ].filter(Boolean).join('\n');
+          this.#finalOutput.set(file, output);
+          if (map) {
+            // the import string is prepended to the code, each ; in the mappings is an (unmapped) line
+            const prependedLines = importStr ? importStr.split('\n').length : 0;
+            this.#sourceMaps.set(file, {
+              ...map,
+              mappings: `${';'.repeat(prependedLines)}${map.mappings}`,
+            });
+          }
+        }
+      }));
+      if (serverOnlyImportsSet.size) {
+        this.addMeteorDependencies([nodeNameToMeteorName(NOOP_PACKAGE_NAME)], ['server']);
       }
+      serverOnlyImportsSet.forEach((serverOnlyImport) => {
+        this.#imports[`#${serverOnlyImport}`] = {
+          node: serverOnlyImport,
+          default: NOOP_PACKAGE_NAME,
+        };
+      });
     }));
-    if (serverOnlyImportsSet.size) {
-      this.addMeteorDependencies([nodeNameToMeteorName(NOOP_PACKAGE_NAME)], ['server']);
-    }
-    serverOnlyImportsSet.forEach((serverOnlyImport) => {
-      this.#imports[`#${serverOnlyImport}`] = {
-        node: serverOnlyImport,
-        default: NOOP_PACKAGE_NAME,
-      };
-    });
   }
 
   async #ensureImpliedImportsAdded() {
@@ -1527,6 +1738,7 @@ export default class MeteorPackage {
   async loadFromMeteorPackage(packageJsPath, packageType, convertTests) {
     try {
       await this.readDependenciesFromPacakgeJS(packageJsPath, packageType);
+      this.#sourceHash = await this.#job.sourceHash(this.#meteorName);
       await this.ensurePackages();
       if (convertTests && this.#hasTests) {
         try {
@@ -1537,6 +1749,11 @@ export default class MeteorPackage {
           this.#testPackage.#fullyLoadedWithDeps = true;
           e.message = `Test package problem: ${e.message}`;
           warn(e);
+          this.#diagnose({
+            code: DiagnosticCodes.TEST_PACKAGE,
+            severity: Severity.WARNING,
+            message: e.message,
+          });
         }
       }
       await this.#ensureFullyLoadedWithoutDeps();
@@ -1544,6 +1761,13 @@ export default class MeteorPackage {
       this.#shouldBeWritten = true;
     }
     catch (error) {
+      this.#diagnose({
+        code: DiagnosticCodes.LOAD_FAILED,
+        severity: Severity.ERROR,
+        message: error.message,
+        line: error.loc?.line,
+        column: error.loc?.column,
+      });
       error.message = `${this.#meteorName || this.#folderName}: ${error.message}`;
 
       // TODO: remove - need to figure out a way of removing a package when it fails (probably from job.ensurePackage)
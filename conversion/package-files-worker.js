@@ -0,0 +1,39 @@
+import { parentPort, workerData } from 'worker_threads';
+import PackageFiles from './package-files.js';
+import { configureRewrites, setNativeAwait } from './ast/rewrite/plugins.js';
+import { restoreClassification } from './classification.js';
+
+// the worker side of WorkerPool, one PackageFiles per package assigned to this worker
+const packageFilesById = new Map();
+
+await configureRewrites(workerData.rewrites);
+setNativeAwait(workerData.rewrites.nativeAwait);
+restoreClassification(workerData.classification);
+
+parentPort.on('message', async ({
+  id,
+  packageId,
+  method,
+  args,
+}) => {
+  if (method === 'dispose') {
+    packageFilesById.get(packageId)?.dispose();
+    packageFilesById.delete(packageId);
+    return;
+  }
+  if (!packageFilesById.has(packageId)) {
+    packageFilesById.set(packageId, new PackageFiles());
+  }
+  const diagnostics = [];
+  try {
+    const result = await packageFilesById.get(packageId)[method](...args, (diagnostic) => diagnostics.push(diagnostic));
+    parentPort.postMessage({ id, result, diagnostics });
+  }
+  catch (e) {
+    parentPort.postMessage({
+      id,
+      diagnostics,
+      error: { message: e.message, stack: e.stack },
+    });
+  }
+});
@@ -0,0 +1,107 @@
+import { walk } from 'estree-walker';
+import { maybeCleanAST, astToCodeWithMap } from './ast/index.js';
+import replaceImportsInAst from './ast/rewrite/replace-imports.js';
+import replacePackageGlobalsWithImportsOrRequire from './ast/rewrite/package-globals.js';
+import { getRelativeImports } from './imports.js';
+import { analyzeGlobals } from './globals.js';
+import { stripExportedVars } from './coffeescript.js';
+import findFiberApis from './ast/fiber-apis.js';
+import { isNativeAwait } from './ast/rewrite/plugins.js';
+import { collectDeclarations } from './declarations.js';
+import { DiagnosticCodes, Severity } from './report.js';
+
+// the ASTs of one package's files and all the work done on them, keyed by the file relative to the package (./lib/x.js)
+// MeteorPackage only talks to the ASTs through this, so the same calls can be made against a worker (see WorkerPool).
+// every call only takes and returns plain data (no ASTs, Sets or functions) for the same reason,
+// diagnostics are reported through the (optional) last argument
+export default class PackageFiles {
+  #asts = new Map();
+
+  has(file) {
+    return this.#asts.has(file);
+  }
+
+  files() {
+    return Array.from(this.#asts.keys());
+  }
+
+  // only for rewrite plugins, which always run on the main thread
+  ast(file) {
+    return this.#asts.get(file);
+  }
+
+  async load(baseFolder, absoluteFile, isCommon, onDiagnostic) {
+    const baseFile = absoluteFile.replace(baseFolder, '.');
+    const exportedMap = new Map();
+    const ast = await maybeCleanAST(baseFolder, absoluteFile, isCommon, exportedMap, onDiagnostic);
+    this.#asts.set(baseFile, ast);
+    return {
+      exported: exportedMap.get(baseFile),
+      relativeImports: getRelativeImports(ast),
+    };
+  }
+
+  async stripExportedVars(file, exportedVars) {
+    stripExportedVars(this.#asts.get(file), exportedVars);
+  }
+
+  async analyzeGlobals(file, isCommon, archs, onDiagnostic) {
+    // without fibers these block forever (or throw), the server code using them has to be made async by hand
+    if (isNativeAwait() && archs.includes('server')) {
+      findFiberApis(this.#asts.get(file)).forEach(({ api, count, line }) => onDiagnostic?.({
+        code: DiagnosticCodes.FIBER_API,
+        severity: Severity.WARNING,
+        message: `${api} only works inside a fiber (used ${count} time${count === 1 ? '' : 's'})`,
+        file,
+        line,
+      }));
+    }
+    const { all, assigned } = analyzeGlobals(this.#asts.get(file), isCommon, new Set(archs));
+    return {
+      all: Array.from(all),
+      assigned: Array.from(assigned),
+    };
+  }
+
+  async hasDefaultExport(file) {
+    let hasDefault;
+    walk(this.#asts.get(file), {
+      enter(node) {
+        if (node.type === 'ExportDefaultDeclaration') {
+          hasDefault = true;
+        }
+        else if (node.type === 'ExportSpecifier' && node.exported.name === 'default' && node.local.name === 'default') {
+          hasDefault = true;
+        }
+      },
+    });
+    return hasDefault;
+  }
+
+  // returns the server only imports that were replaced
+  async replaceImports(file, isMultiArch) {
+    const serverOnlyImports = new Set();
+    replaceImportsInAst(this.#asts.get(file), isMultiArch, serverOnlyImports);
+    return Array.from(serverOnlyImports);
+  }
+
+  async replacePackageGlobals(file, packageGlobals) {
+    replacePackageGlobalsWithImportsOrRequire(this.#asts.get(file), new Set(packageGlobals));
+  }
+
+  async print(file, sourceMapName, onDiagnostic) {
+    return astToCodeWithMap(this.#asts.get(file), {
+      file,
+      onDiagnostic,
+      sourceMapName,
+    });
+  }
+
+  async declarations(mainModule, exportedVars) {
+    return collectDeclarations((file) => this.#asts.get(file), mainModule, exportedVars, Array.from(this.#asts.values()));
+  }
+
+  dispose() {
+    this.#asts = new Map();
+  }
+}
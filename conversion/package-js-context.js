@@ -89,8 +89,8 @@ export default function packageJsContext(meteorPackage) {
     onUsePromise: undefined,
     onTestPromise: undefined,
     Cordova: {
-      depends() {
-        // noop
+      depends(deps) {
+        meteorPackage.addCordovaDeps(deps);
       },
     },
     Npm: {
@@ -116,8 +116,8 @@ export default function packageJsContext(meteorPackage) {
           debugOnly: description.debugOnly,
         });
       },
-      registerBuildPlugin() {
-        // noop
+      registerBuildPlugin(options) {
+        meteorPackage.addBuildPlugin(options);
       },
 
       // because packages like qualia:docs and qultra:lucky-tests use functions like autoLoad (which are declared after package.onUse)
@@ -0,0 +1,70 @@
+import debounce from 'debounce';
+import { notify, error as logError } from '../helpers/log';
+
+// changes to any number of packages within the debounce window are reconverted together, changes made while converting wait for the next pass
+export default class RebuildBatcher {
+  #job;
+
+  // the running app (if there is one), restarted once per pass
+  #appProcess;
+
+  #changed = new Set();
+
+  #rebuilding = Promise.resolve();
+
+  // watches the packages a pass loaded that weren't being watched
+  #watchNewPackages;
+
+  #scheduleRebuild = debounce(() => this.#queueRebuild(), 100);
+
+  constructor(job, appProcess, watchNewPackages) {
+    this.#job = job;
+    this.#appProcess = appProcess;
+    this.#watchNewPackages = watchNewPackages;
+  }
+
+  add(watcher) {
+    this.#changed.add(watcher);
+    this.#scheduleRebuild();
+  }
+
+  #queueRebuild() {
+    const watchers = Array.from(this.#changed);
+    this.#changed.clear();
+    this.#rebuilding = this.#rebuilding.then(() => this.#rebuild(watchers));
+  }
+
+  // resolves true if any package was written
+  async #reconvert(meteorNames) {
+    try {
+      // the job replaces a package when it's reconverted, so they're looked up every time
+      const reconverted = await this.#job.reconvert(meteorNames.map((meteorName) => this.#job.get(meteorName)).filter(Boolean));
+      reconverted.filter(({ error }) => error).forEach(({ meteorPackage, error }) => {
+        logError(`couldn't rebuild ${meteorPackage.meteorName}:`, error.message);
+      });
+      const rebuilt = reconverted.filter(({ error, isDependent }) => !error && !isDependent).map(({ meteorPackage }) => meteorPackage.meteorName);
+      const dependents = reconverted.filter(({ error, isDependent }) => !error && isDependent).map(({ meteorPackage }) => meteorPackage.meteorName);
+      if (rebuilt.length) {
+        notify('rebuilt', rebuilt.join(', '), ...(dependents.length ? ['and the packages using their globals:', dependents.join(', ')] : []));
+      }
+      return rebuilt.length + dependents.length > 0;
+    }
+    catch (err) {
+      logError(`problem rebuilding ${meteorNames.join(', ')}`, err, err.stack);
+      return false;
+    }
+  }
+
+  async #rebuild(watchers) {
+    const meteorNames = watchers.map(({ meteorName }) => meteorName);
+    notify('rebuilding', meteorNames.join(', '));
+    if (this.#appProcess) {
+      await this.#appProcess.whileReconverting(() => this.#reconvert(meteorNames));
+    }
+    else {
+      await this.#reconvert(meteorNames);
+    }
+    await Promise.all(watchers.map((watcher) => watcher.watch()));
+    await this.#watchNewPackages().catch((err) => logError('problem watching the packages this pass loaded', err));
+  }
+}
@@ -0,0 +1,161 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export const ReportFileName = 'conversion-report';
+
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+const SeverityOrder = [Severity.ERROR, Severity.WARNING, Severity.INFO];
+
+// every hack or fallback the conversion can apply, so the report can be filtered/grouped by them
+export const DiagnosticCodes = {
+  RECAST_PARSE_FALLBACK: 'recast-parse-fallback', // recast couldn't parse the file, the output loses its formatting and maybe comments
+  LOOSE_PARSE: 'loose-parse', // acorn couldn't parse the file, it was parsed with acorn-loose and patched up
+  ASTRING_FALLBACK: 'astring-fallback', // recast generated unparseable code, the output was generated by astring instead
+  TYPESCRIPT: 'typescript', // the file was typescript, the types were stripped with esbuild
+  COFFEESCRIPT: 'coffeescript', // the file was coffeescript, it was compiled to JS
+  REQUIRE_TO_IMPORT: 'require-to-import', // top level requires were hoisted to imports
+  EXPORTS_REWRITE: 'exports-rewrite', // exports/module.exports assignments were rewritten to ESM exports
+  SERVER_ONLY_IMPORT: 'server-only-import', // a server only import was replaced with a conditional import
+  PLUGIN_REWRITE: 'plugin-rewrite', // a project rewrite plugin changed the file
+  FIBER_API: 'fiber-api', // with native await, a server file uses an API that only works inside a fiber
+  ESM_USING_REQUIRE: 'esm-using-require',
+  ESM_USING_EXPORTS: 'esm-using-exports',
+  MISSING_DEPENDENCY: 'missing-dependency',
+  MISSING_USES: 'missing-uses',
+  PACKAGE_JS: 'package-js',
+  TEST_PACKAGE: 'test-package',
+  LOAD_FAILED: 'load-failed',
+};
+
+/**
+ * @typedef {{
+ *  packageName: String,
+ *  code: String,
+ *  severity: String,
+ *  message: String,
+ *  file: String?,
+ *  line: Number?,
+ *  column: Number?,
+ *  rewrite: String?
+ * }} Diagnostic
+ */
+
+export default class ConversionReport {
+  /** @type {[Diagnostic]} */
+  #diagnostics = [];
+
+  // the same diagnostic can be recorded more than once, e.g., a file parsed for multiple archs
+  #keys = new Set();
+
+  add({
+    packageName,
+    code,
+    severity = Severity.WARNING,
+    message,
+    file,
+    line,
+    column,
+    rewrite,
+  }) {
+    const key = JSON.stringify([packageName, code, file, line, message]);
+    if (this.#keys.has(key)) {
+      return;
+    }
+    this.#keys.add(key);
+    this.#diagnostics.push({
+      packageName,
+      code,
+      severity,
+      message,
+      ...(file && { file }),
+      ...(line && { line }),
+      ...(column !== undefined && { column }),
+      ...(rewrite && { rewrite }),
+    });
+  }
+
+  get diagnostics() {
+    return this.#diagnostics.slice(0);
+  }
+
+  #byPackage() {
+    const ret = new Map();
+    this.#diagnostics.forEach((diagnostic) => {
+      if (!ret.has(diagnostic.packageName)) {
+        ret.set(diagnostic.packageName, []);
+      }
+      ret.get(diagnostic.packageName).push(diagnostic);
+    });
+    return ret;
+  }
+
+  // riskiest packages first - the most errors, then the most warnings
+  #sortedPackages() {
+    const counts = (diagnostics) => SeverityOrder.map((severity) => diagnostics.filter((d) => d.severity === severity).length);
+    return Array.from(this.#byPackage().entries())
+      .map(([packageName, diagnostics]) => ({ packageName, diagnostics, counts: counts(diagnostics) }))
+      .sort((a, b) => {
+        const index = a.counts.findIndex((count, i) => count !== b.counts[i]);
+        if (index === -1) {
+          return a.packageName.localeCompare(b.packageName);
+        }
+        return b.counts[index] - a.counts[index];
+      });
+  }
+
+  toJSON() {
+    return {
+      summary: Object.fromEntries(SeverityOrder.map((severity) => [
+        severity,
+        this.#diagnostics.filter((diagnostic) => diagnostic.severity === severity).length,
+      ])),
+      packages: this.#sortedPackages().map(({ packageName, diagnostics, counts }) => ({
+        packageName,
+        ...Object.fromEntries(SeverityOrder.map((severity, i) => [severity, counts[i]])),
+        diagnostics: diagnostics.sort((a, b) => SeverityOrder.indexOf(a.severity) - SeverityOrder.indexOf(b.severity)),
+      })),
+    };
+  }
+
+  toMarkdown() {
+    const { summary, packages } = this.toJSON();
+    const location = ({ file, line }) => (file ? `${file}${line ? `:${line}` : ''}` : '');
+    return [
+      '# Conversion report',
+      '',
+      SeverityOrder.map((severity) => `${severity}: ${summary[severity]}`).join(', '),
+      '',
+      '| package | errors | warnings | info |',
+      '| --- | --- | --- | --- |',
+      ...packages.map((pkg) => `| ${pkg.packageName} | ${pkg.error} | ${pkg.warning} | ${pkg.info} |`),
+      ...packages.flatMap(({ packageName, diagnostics }) => [
+        '',
+        `## ${packageName}`,
+        '',
+        '| severity | code | location | rewrite | message |',
+        '| --- | --- | --- | --- | --- |',
+        ...diagnostics.map((diagnostic) => `| ${[
+          diagnostic.severity,
+          diagnostic.code,
+          location(diagnostic),
+          diagnostic.rewrite || '',
+          diagnostic.message.replace(/\|/g, '\\|').replace(/\n/g, ' '),
+        ].join(' | ')} |`),
+      ]),
+      '',
+    ].join('\n');
+  }
+
+  async write(directory) {
+    await fs.ensureDir(directory);
+    await Promise.all([
+      fs.writeFile(path.join(directory, `${ReportFileName}.json`), JSON.stringify(this.toJSON(), null, 2)),
+      fs.writeFile(path.join(directory, `${ReportFileName}.md`), this.toMarkdown()),
+    ]);
+  }
+}
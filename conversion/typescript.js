@@ -0,0 +1,18 @@
+import esbuild from 'esbuild';
+
+// .d.ts files are only ever assets (see addAssets), they're copied as is
+export function isTypeScriptFile(file) {
+  return file.endsWith('.ts') && !file.endsWith('.d.ts');
+}
+
+// we only strip the types, everything else (globals, imports, exports) is handled by the rest of the conversion
+// NOTE: esbuild drops any import that is only used as a type, the same as meteor's babel typescript preset
+export async function stripTypes(contents, file) {
+  const { code } = await esbuild.transform(contents, {
+    loader: 'ts',
+    sourcefile: file,
+    target: 'esnext',
+    logLevel: 'silent',
+  });
+  return code;
+}
@@ -0,0 +1,141 @@
+// what every package in a conversion job is waiting on and which of its locks it holds.
+// A deadlocked conversion (usually a cycle of packages each holding a lock the next is waiting for)
+// just lets the event loop drain - this is what we print so it's possible to tell why.
+export default class WaitGraph {
+  // id => { waiter, target, reason, since }
+  #waits = new Map();
+
+  // meteorName => Set<lockName>
+  #locks = new Map();
+
+  // id => { meteorName, activity, since }, work that takes a while (downloads, parsing and rewriting) but isn't waiting on another package
+  #work = new Map();
+
+  #nextId = 0;
+
+  #lastProgress = Date.now();
+
+  /**
+   * @param {String} waiter the package that is waiting
+   * @param {String} target the package it's waiting on
+   * @param {String} reason what it's waiting for, e.g., ensurePackage or loaded
+   * @param {Promise} promise
+   */
+  async wait(waiter, target, reason, promise) {
+    this.#nextId += 1;
+    const id = this.#nextId;
+    this.#waits.set(id, {
+      waiter,
+      target,
+      reason,
+      since: Date.now(),
+    });
+    try {
+      return await promise;
+    }
+    finally {
+      this.#waits.delete(id);
+      this.#lastProgress = Date.now();
+    }
+  }
+
+  // call once the lock has been acquired, it's recorded as held until fn settles
+  async hold(meteorName, lockName, fn) {
+    if (!this.#locks.has(meteorName)) {
+      this.#locks.set(meteorName, new Set());
+    }
+    this.#locks.get(meteorName).add(lockName);
+    try {
+      return await fn();
+    }
+    finally {
+      this.#locks.get(meteorName).delete(lockName);
+      this.#lastProgress = Date.now();
+    }
+  }
+
+  // while fn runs the conversion is making progress, however long it takes
+  async work(meteorName, activity, fn) {
+    this.#nextId += 1;
+    const id = this.#nextId;
+    this.#work.set(id, { meteorName, activity, since: Date.now() });
+    try {
+      return await fn();
+    }
+    finally {
+      this.#work.delete(id);
+      this.#lastProgress = Date.now();
+    }
+  }
+
+  get waiting() {
+    return this.#waits.size;
+  }
+
+  // how long (ms) since any wait resolved, lock was released or work finished - never stalled while there's work in flight
+  stalledFor() {
+    return this.#work.size ? 0 : Date.now() - this.#lastProgress;
+  }
+
+  // the first cycle of waiting packages, e.g., [a, b, a]. A package waiting on itself (its own loaded promise) is never a cycle on its own
+  findCycle() {
+    const edges = new Map();
+    this.#waits.forEach(({ waiter, target }) => {
+      if (waiter === target) {
+        return;
+      }
+      if (!edges.has(waiter)) {
+        edges.set(waiter, new Set());
+      }
+      edges.get(waiter).add(target);
+    });
+    const visited = new Set();
+    const findFrom = (node, stack) => {
+      if (stack.includes(node)) {
+        return [...stack.slice(stack.indexOf(node)), node];
+      }
+      if (visited.has(node)) {
+        return undefined;
+      }
+      visited.add(node);
+      return Array.from(edges.get(node) || [])
+        .map((target) => findFrom(target, [...stack, node]))
+        .find(Boolean);
+    };
+    return Array.from(edges.keys()).map((node) => findFrom(node, [])).find(Boolean);
+  }
+
+  describe() {
+    const now = Date.now();
+    const lines = ['wait-for graph:'];
+    Array.from(this.#waits.values())
+      .sort((a, b) => a.waiter.localeCompare(b.waiter) || a.target.localeCompare(b.target))
+      .forEach(({
+        waiter,
+        target,
+        reason,
+        since,
+      }) => {
+        lines.push(`  ${waiter} -> ${target} (${reason}, ${((now - since) / 1000).toFixed(1)}s)`);
+      });
+    if (this.#work.size) {
+      lines.push('in progress:');
+      Array.from(this.#work.values()).forEach(({ meteorName, activity, since }) => {
+        lines.push(`  ${meteorName} (${activity}, ${((now - since) / 1000).toFixed(1)}s)`);
+      });
+    }
+    const cycle = this.findCycle();
+    lines.push(cycle ? `cycle: ${cycle.join(' -> ')}` : 'no cycle found');
+    const locksHeld = Array.from(this.#locks.entries()).filter(([, lockNames]) => lockNames.size);
+    if (locksHeld.length) {
+      lines.push('locks held:');
+      locksHeld
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([meteorName, lockNames]) => {
+          const inCycle = cycle?.includes(meteorName) ? ' (in cycle)' : '';
+          lines.push(`  ${meteorName}${inCycle}: ${Array.from(lockNames).join(', ')}`);
+        });
+    }
+    return lines.join('\n');
+  }
+}
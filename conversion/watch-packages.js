@@ -1,57 +1,100 @@
+import fs from 'fs-extra';
 import fsPromises from 'fs/promises';
-import debounce from 'debounce';
+import path from 'path';
+import { isSourceFile } from '../helpers/source-hash';
+import { error as logError } from '../helpers/log';
+import RebuildBatcher from './rebuild-batcher';
+
+// editors write swap/backup files next to the file being edited, they aren't part of the package
+function isEditorFile(fileName) {
+  const baseName = path.basename(fileName);
+  return baseName.startsWith('.') || baseName.endsWith('~');
+}
+
+// the package folder and every folder in it - fs.watch can't watch recursively on linux, so each one is watched
+async function directoriesToWatch(directory, relativePath = '.') {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const inner = await Promise.all(entries
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map((entry) => path.join(relativePath, entry.name))
+    .filter(isSourceFile)
+    .map((relativeDirectory) => directoriesToWatch(path.join(directory, path.basename(relativeDirectory)), relativeDirectory)));
+  return [directory, ...inner.flat()];
+}
 
 class PackageWatcher {
-  #job;
+  #meteorName;
 
-  #meteorPackage;
+  #folderPath;
 
-  // TODO: abortController is experimental - how the hell are you supposed to abort without experimental?
   #abortController;
 
-  triggerRebuild = debounce(this.#rebuild, 100);
+  #onChange;
 
-  constructor(job, meteorPackage) {
-    this.#job = job;
-    this.#meteorPackage = meteorPackage;
+  constructor(meteorName, folderPath, onChange) {
+    this.#meteorName = meteorName;
+    this.#folderPath = folderPath;
+    this.#onChange = onChange;
   }
 
-  async #rebuild() {
-    console.log('rebuilding', this.#meteorPackage.meteorName);
-    // this.#abortController.abort();
-    await this.#job.reconvert(this.#meteorPackage);
-    console.log('rebuilt', this.#meteorPackage.meteorName);
-    // this.watch();
+  get meteorName() {
+    return this.#meteorName;
   }
 
-  async #watchFile(file) {
+  async #watchDirectory(directory, signal) {
     try {
-      const watcher = fsPromises.watch(file);
-      for await (const event of watcher) {
-        this.triggerRebuild();
+      const watcher = fsPromises.watch(directory, { signal });
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const { filename } of watcher) {
+        if (!filename || !isEditorFile(filename)) {
+          this.#onChange(this);
+        }
       }
     }
     catch (err) {
-      if (err.name === 'AbortError') {
+      // aborted by the next watch (or stop), or the directory was removed - in which case its parent saw it go
+      if (err.name === 'AbortError' || err.code === 'ENOENT') {
         return;
       }
       throw err;
     }
   }
 
-  watch() {
-    if (this.#abortController) {
-      this.#abortController.abort();
+  // directories can be added or removed, so each call lists them again and replaces the previous watchers
+  async watch() {
+    this.stop();
+    const abortController = new AbortController();
+    this.#abortController = abortController;
+    const directories = await directoriesToWatch(await fs.realpath(this.#folderPath));
+    if (abortController.signal.aborted) {
+      return;
     }
-    // this.#abortController = new AbortController();
-    this.#meteorPackage.filesToWatch().map((fileToWatch) => this.#watchFile(fileToWatch));
+    directories.forEach((directory) => {
+      this.#watchDirectory(directory, abortController.signal).catch((err) => logError(`problem watching ${directory}`, err));
+    });
+  }
+
+  stop() {
+    this.#abortController?.abort();
+    this.#abortController = undefined;
   }
 }
 
-export default function watchPackages(job, { watchAll = false } = {}) {
-  const packagesToWatch = watchAll ? job.getAllLoaded() : job.getAllLocal();
-  packagesToWatch.forEach((meteorPackage) => {
-    const watcher = new PackageWatcher(job, meteorPackage);
-    watcher.watch();
-  });
+// the local packages this job has loaded are watched, a pass can load more (a package.js that now uses another local package)
+// so they're looked for again after each one
+export default async function watchPackages(job, { watchAll = false, appProcess } = {}) {
+  const watchedMeteorNames = new Set();
+  let batcher;
+  const watchNewPackages = async () => {
+    const packageJsPaths = await job.getPackageJsPaths(!watchAll);
+    await Promise.all(Array.from(packageJsPaths.entries())
+      .filter(([meteorName]) => job.has(meteorName) && !watchedMeteorNames.has(meteorName))
+      .map(async ([meteorName, { packageJsPath }]) => {
+        watchedMeteorNames.add(meteorName);
+        const watcher = new PackageWatcher(meteorName, path.dirname(packageJsPath), (changedWatcher) => batcher.add(changedWatcher));
+        await watcher.watch();
+      }));
+  };
+  batcher = new RebuildBatcher(job, appProcess, watchNewPackages);
+  await watchNewPackages();
 }
@@ -0,0 +1,73 @@
+// a package's files are parsed, analysed and printed in whichever worker it was assigned to (its ASTs live there),
+// MeteorPackage makes the same calls it would against PackageFiles - only the results come back to the main thread
+export default class WorkerPackageFiles {
+  #pool;
+
+  #worker;
+
+  #packageId;
+
+  #files = new Set();
+
+  constructor(pool, worker, packageId) {
+    this.#pool = pool;
+    this.#worker = worker;
+    this.#packageId = packageId;
+  }
+
+  has(file) {
+    return this.#files.has(file);
+  }
+
+  files() {
+    return Array.from(this.#files);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  ast() {
+    throw new Error('the ASTs of packages converted in a worker are only available in that worker');
+  }
+
+  #call(method, args, onDiagnostic) {
+    return this.#pool.call(this.#worker, this.#packageId, method, args, onDiagnostic);
+  }
+
+  async load(baseFolder, absoluteFile, isCommon, onDiagnostic) {
+    const result = await this.#call('load', [baseFolder, absoluteFile, isCommon], onDiagnostic);
+    this.#files.add(absoluteFile.replace(baseFolder, '.'));
+    return result;
+  }
+
+  async stripExportedVars(file, exportedVars) {
+    return this.#call('stripExportedVars', [file, exportedVars]);
+  }
+
+  async analyzeGlobals(file, isCommon, archs, onDiagnostic) {
+    return this.#call('analyzeGlobals', [file, isCommon, archs], onDiagnostic);
+  }
+
+  async hasDefaultExport(file) {
+    return this.#call('hasDefaultExport', [file]);
+  }
+
+  async replaceImports(file, isMultiArch) {
+    return this.#call('replaceImports', [file, isMultiArch]);
+  }
+
+  async replacePackageGlobals(file, packageGlobals) {
+    return this.#call('replacePackageGlobals', [file, packageGlobals]);
+  }
+
+  async print(file, sourceMapName, onDiagnostic) {
+    return this.#call('print', [file, sourceMapName], onDiagnostic);
+  }
+
+  async declarations(mainModule, exportedVars) {
+    return this.#call('declarations', [mainModule, exportedVars]);
+  }
+
+  dispose() {
+    this.#files = new Set();
+    this.#pool.release(this.#worker, this.#packageId);
+  }
+}
@@ -0,0 +1,127 @@
+import { Worker } from 'worker_threads';
+import WorkerPackageFiles from './worker-package-files.js';
+
+// the worker threads a ConversionJob parses, analyses and prints package files with (--jobs)
+export default class WorkerPool {
+  #workers;
+
+  // worker => how many (undisposed) packages it has
+  #packageCounts = new Map();
+
+  // worker => how many calls it's working on
+  #pendingCounts = new Map();
+
+  #pending = new Map();
+
+  #nextCallId = 0;
+
+  #nextPackageId = 0;
+
+  // why the pool stopped working, once any worker dies. Its packages' ASTs died with it, so every call fails from then on
+  #failure;
+
+  /**
+   * @param {Number} size the number of workers
+   * @param {{ rewrites: Object, classification: Object }} workerData the configuration every worker must share with the main thread
+   */
+  constructor(size, workerData) {
+    this.#workers = Array.from({ length: size }, () => this.#createWorker(workerData));
+  }
+
+  #createWorker(workerData) {
+    const worker = new Worker(new URL('./package-files-worker.js', import.meta.url), { workerData });
+    worker.on('message', (message) => this.#onMessage(worker, message));
+    worker.on('error', (e) => this.#fail(e));
+    worker.on('exit', (code) => this.#fail(new Error(`conversion worker exited with code ${code}`)));
+    // an idle worker shouldn't keep the process alive, it's only referenced while it has work (see call)
+    worker.unref();
+    this.#packageCounts.set(worker, 0);
+    this.#pendingCounts.set(worker, 0);
+    return worker;
+  }
+
+  // every package goes to the worker with the fewest packages, and stays there until it's disposed
+  packageFiles() {
+    const worker = this.#workers.reduce((least, candidate) => (
+      this.#packageCounts.get(candidate) < this.#packageCounts.get(least) ? candidate : least
+    ));
+    this.#packageCounts.set(worker, this.#packageCounts.get(worker) + 1);
+    this.#nextPackageId += 1;
+    return new WorkerPackageFiles(this, worker, this.#nextPackageId);
+  }
+
+  call(worker, packageId, method, args, onDiagnostic) {
+    this.#nextCallId += 1;
+    const id = this.#nextCallId;
+    if (this.#failure) {
+      return Promise.reject(this.#failure);
+    }
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, {
+        worker,
+        resolve,
+        reject,
+        onDiagnostic,
+      });
+      if (this.#pendingCounts.get(worker) === 0) {
+        worker.ref();
+      }
+      this.#pendingCounts.set(worker, this.#pendingCounts.get(worker) + 1);
+      worker.postMessage({
+        id,
+        packageId,
+        method,
+        args,
+      });
+    });
+  }
+
+  release(worker, packageId) {
+    this.#packageCounts.set(worker, this.#packageCounts.get(worker) - 1);
+    if (!this.#failure) {
+      worker.postMessage({ packageId, method: 'dispose' });
+    }
+  }
+
+  #settled(worker, id) {
+    this.#pending.delete(id);
+    this.#pendingCounts.set(worker, this.#pendingCounts.get(worker) - 1);
+    if (this.#pendingCounts.get(worker) === 0) {
+      worker.unref();
+    }
+  }
+
+  #onMessage(worker, {
+    id,
+    result,
+    diagnostics,
+    error,
+  }) {
+    const pending = this.#pending.get(id);
+    if (!pending) {
+      return;
+    }
+    this.#settled(worker, id);
+    diagnostics.forEach((diagnostic) => pending.onDiagnostic?.(diagnostic));
+    if (error) {
+      const e = new Error(error.message);
+      e.stack = error.stack;
+      pending.reject(e);
+    }
+    else {
+      pending.resolve(result);
+    }
+  }
+
+  // a worker that errors or exits can't answer the calls it was sent, nor any call for the packages it holds
+  #fail(e) {
+    if (!this.#failure) {
+      this.#failure = e;
+    }
+    Array.from(this.#pending.entries()).forEach(([id, pending]) => {
+      this.#settled(pending.worker, id);
+      pending.reject(this.#failure);
+    });
+    this.#workers.forEach((worker) => worker.terminate());
+  }
+}
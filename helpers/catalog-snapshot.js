@@ -0,0 +1,86 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { baseFolder } from './base-folder';
+
+// commit this and every command (e.g., in CI) resolves packages from it without meteor being installed
+export const DefaultCatalogSnapshotPath = path.join(baseFolder, 'catalog.json');
+
+const SnapshotFormatVersion = 1;
+
+let snapshotPath;
+
+let loadedSnapshot;
+
+// set once by the runner before any command runs, an explicitly configured snapshot wins over the app's default one
+export async function configureCatalogSnapshot(configuredPath) {
+  if (configuredPath) {
+    snapshotPath = configuredPath;
+  }
+  else {
+    snapshotPath = await fs.pathExists(DefaultCatalogSnapshotPath) ? DefaultCatalogSnapshotPath : undefined;
+  }
+  loadedSnapshot = undefined;
+}
+
+// undefined when packages come from the meteor install's packages.data.db
+export function catalogSnapshotPath() {
+  return snapshotPath;
+}
+
+export async function readCatalogSnapshot(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`the catalog snapshot ${filePath} does not exist`);
+  }
+  const snapshot = JSON.parse((await fs.readFile(filePath)).toString());
+  if (snapshot.formatVersion !== SnapshotFormatVersion) {
+    throw new Error(`${filePath} isn't a catalog snapshot this version of meteor-lite can read (format ${snapshot.formatVersion})`);
+  }
+  if (!Array.isArray(snapshot.versions) || !Array.isArray(snapshot.builds)) {
+    throw new Error(`${filePath} isn't a catalog snapshot, it needs versions and builds`);
+  }
+  return snapshot;
+}
+
+// versions are sorted so exporting the same catalog twice gives the same file
+export async function writeCatalogSnapshot(filePath, { versions, builds }) {
+  const byName = (a, b) => a.packageName.localeCompare(b.packageName) || a.version.localeCompare(b.version);
+  const versionsById = new Map(versions.map(({ _id: versionId, ...row }) => [versionId, row]));
+  const sortedBuilds = builds
+    .map(({ _id: buildId, ...row }) => ({ buildId, row }))
+    .sort((a, b) => byName(versionsById.get(a.row.versionId), versionsById.get(b.row.versionId)) || a.buildId.localeCompare(b.buildId))
+    .map(({ buildId, row }) => ({ _id: buildId, ...row }));
+  await fs.ensureDir(path.dirname(filePath));
+  return fs.writeFile(filePath, JSON.stringify({
+    formatVersion: SnapshotFormatVersion,
+    versions: versions.slice().sort(byName),
+    builds: sortedBuilds,
+  }, null, 2));
+}
+
+/**
+ * the configured snapshot, indexed for the queries ensure-local-package makes.
+ * Rows have the same shape as the rows of packages.data.db (content is a JSON string)
+ * @returns {Promise<{ versionsByPackage: Map<String, [Object]>, buildsByVersionId: Map<String, [Object]> }>}
+ */
+export function loadCatalogSnapshot() {
+  if (!loadedSnapshot) {
+    loadedSnapshot = readCatalogSnapshot(snapshotPath).then(({ versions, builds }) => {
+      const versionsByPackage = new Map();
+      versions.forEach((row) => {
+        if (!versionsByPackage.has(row.packageName)) {
+          versionsByPackage.set(row.packageName, []);
+        }
+        versionsByPackage.get(row.packageName).push({ ...row, content: JSON.stringify(row.content) });
+      });
+      const buildsByVersionId = new Map();
+      builds.forEach((row) => {
+        if (!buildsByVersionId.has(row.versionId)) {
+          buildsByVersionId.set(row.versionId, []);
+        }
+        buildsByVersionId.get(row.versionId).push({ ...row, content: JSON.stringify(row.content) });
+      });
+      return { versionsByPackage, buildsByVersionId };
+    });
+  }
+  return loadedSnapshot;
+}
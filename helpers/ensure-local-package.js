@@ -1,29 +1,17 @@
 import path from 'path';
 import fs from 'fs-extra';
 import sqlite3 from 'sqlite3';
-import fetch from 'node-fetch';
 import targz from 'targz';
 import AsyncLock from 'async-lock';
 import rimraf from 'rimraf';
 import Util from 'util';
 import { meteorNameToLegacyPackageDir, sortSemver, versionsAreCompatible } from './helpers';
 import { warn } from './log';
+import { catalogSnapshotPath, loadCatalogSnapshot } from './catalog-snapshot';
+import { downloadTarball, packageMirrorDir, mirroredTarball } from './package-mirror';
 
 const DBMap = new Map();
 
-async function getOne(db, query) {
-  return new Promise((resolve, reject) => {
-    db.get(query, (err, res) => {
-      if (err) {
-        reject(err);
-      }
-      else {
-        resolve(res);
-      }
-    });
-  });
-}
-
 async function getAll(db, query) {
   return new Promise((resolve, reject) => {
     db.all(query, (err, res) => {
@@ -46,18 +34,23 @@ async function getAllFilesAndFolders(folderPath, res = []) {
 }
 
 async function installPackage(packageVersionObject, packageVersionBuildObject, meteorInstall) {
-  const tarGzReponse = await fetch(packageVersionBuildObject.build.url);
   const cleanName = meteorNameToLegacyPackageDir(packageVersionObject.packageName);
   const packageNameVersion = `${cleanName}-${packageVersionObject.version}`;
   const extractFolderName = `${packageNameVersion}-${Math.random()}`;
-  const tarGzPath = path.join('/tmp', `${extractFolderName}.tar.gz`);
   const extractFolderPath = path.join('/tmp', extractFolderName);
-  const tarGz = fs.createWriteStream(tarGzPath);
-  await new Promise((resolve, reject) => {
-    tarGzReponse.body.pipe(tarGz);
-    tarGzReponse.body.on('end', () => resolve());
-    tarGz.on('error', reject);
-  });
+
+  let tarGzPath;
+  if (packageMirrorDir()) {
+    tarGzPath = await mirroredTarball(packageVersionObject, packageVersionBuildObject);
+    if (!tarGzPath) {
+      warn(`${packageNameVersion} isn't in the package mirror ${packageMirrorDir()}, downloading it`);
+    }
+  }
+  const isDownloaded = !tarGzPath;
+  if (isDownloaded) {
+    tarGzPath = path.join('/tmp', `${extractFolderName}.tar.gz`);
+    await downloadTarball(packageVersionBuildObject.build.url, tarGzPath);
+  }
 
   await new Promise((resolve, reject) => {
     targz.decompress({
@@ -66,7 +59,9 @@ async function installPackage(packageVersionObject, packageVersionBuildObject, m
     }, (err, res) => (err ? reject(err) : resolve(res)));
   });
 
-  await fs.unlink(tarGzPath);
+  if (isDownloaded) {
+    await fs.unlink(tarGzPath);
+  }
 
   // no idea where nceq8x.2tumh comes from - probably some kinda hash (but neither of the hashes on packageVersionBuildObject or packageVersionObject)
   // .1.5.1.nceq8x.2tumh++os+web.browser+web.browser.legacy+web.cordova
@@ -100,10 +95,13 @@ async function installPackage(packageVersionObject, packageVersionBuildObject, m
   await fs.rmdir(extractFolderPath);
 }
 
-function loadPackageDb(meteorInstall) {
+export function packageDbPath(meteorInstall) {
   // HACK: where does v2.0.1 come from? Maybe just grab the first folder?
-  const pathToDb = path.join(meteorInstall, 'package-metadata', 'v2.0.1', 'packages.data.db');
-  return new sqlite3.Database(pathToDb);
+  return path.join(meteorInstall, 'package-metadata', 'v2.0.1', 'packages.data.db');
+}
+
+function loadPackageDb(meteorInstall) {
+  return new sqlite3.Database(packageDbPath(meteorInstall));
 }
 
 function getPackageDb(meteorInstall) {
@@ -113,14 +111,46 @@ function getPackageDb(meteorInstall) {
   return DBMap.get(meteorInstall);
 }
 
+// the rows of the versions table (optionally for one package and version), from the snapshot if there is one
+async function queryVersions(meteorInstall, { name, version } = {}) {
+  if (catalogSnapshotPath()) {
+    const { versionsByPackage } = await loadCatalogSnapshot();
+    const rows = name ? versionsByPackage.get(name) || [] : Array.from(versionsByPackage.values()).flat();
+    return version ? rows.filter((row) => row.version === version) : rows;
+  }
+  const db = getPackageDb(meteorInstall);
+  const conditions = [
+    name && `packageName="${name}"`,
+    version && `version="${version}"`,
+  ].filter(Boolean);
+  return getAll(db, `SELECT * from versions${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`);
+}
+
+async function queryBuilds(meteorInstall, versionId) {
+  if (catalogSnapshotPath()) {
+    const { buildsByVersionId } = await loadCatalogSnapshot();
+    return buildsByVersionId.get(versionId) || [];
+  }
+  return getAll(getPackageDb(meteorInstall), `SELECT * from builds WHERE versionId="${versionId}"`);
+}
+
+// catalog export always reads the meteor install, whether or not a snapshot is configured
+export async function readPackageDbVersions({ meteorInstall }) {
+  return getAll(getPackageDb(meteorInstall), 'SELECT * from versions');
+}
+
+export async function readPackageDbBuilds({ meteorInstall, versionIds }) {
+  const wantedIds = new Set(versionIds);
+  return (await getAll(getPackageDb(meteorInstall), 'SELECT * from builds')).filter((row) => wantedIds.has(row.versionId));
+}
+
 export async function getPackageDependencies({
   name,
   version,
   meteorInstall,
 }) {
   try {
-    const db = getPackageDb(meteorInstall);
-    const packageVersion = await getOne(db, `SELECT * from versions WHERE packageName="${name}" AND version="${version}"`);
+    const [packageVersion] = await queryVersions(meteorInstall, { name, version });
     if (!packageVersion) {
       // happens with iron-router, which doesn't exist and less, which should
       return [];
@@ -141,20 +171,38 @@ export async function getPackageDependencies({
 export async function getAllPackageVersions({
   meteorInstall,
 }) {
-  const db = getPackageDb(meteorInstall);
-  const packageVersions = await getAll(db, `SELECT * from versions`);
-  return packageVersions;
+  return queryVersions(meteorInstall);
 }
 
 export async function getPackageVersions({
   name,
   meteorInstall,
 }) {
-  const db = getPackageDb(meteorInstall);
-  const packageVersions = await getAll(db, `SELECT * from versions WHERE packageName="${name}"`);
+  const packageVersions = await queryVersions(meteorInstall, { name });
   return packageVersions.map(({ version }) => version);
 }
 
+// the version record and its (only) build record, parsed. Undefined if the catalog doesn't know the version or it doesn't have exactly one build
+export async function getPackageVersionBuild({
+  name,
+  version,
+  meteorInstall,
+}) {
+  const [packageVersion] = await queryVersions(meteorInstall, { name, version });
+  if (!packageVersion) {
+    return undefined;
+  }
+  const { _id: versionId } = packageVersion;
+  const packageVersionBuilds = await queryBuilds(meteorInstall, versionId);
+  if (packageVersionBuilds.length !== 1) {
+    return undefined;
+  }
+  return {
+    packageVersionObject: JSON.parse(packageVersion.content),
+    packageVersionBuildObject: JSON.parse(packageVersionBuilds[0].content),
+  };
+}
+
 const asyncLock = new AsyncLock();
 
 export default async function ensureLocalPackage({
@@ -169,12 +217,11 @@ export default async function ensureLocalPackage({
     }
 
     const cleanName = meteorNameToLegacyPackageDir(name);
-    const db = getPackageDb(meteorInstall);
 
     let versionToUse = version;
     let allVersions;
     if (!version) {
-      allVersions = (await getAll(db, `SELECT * FROM versions WHERE packageName="${name}"`)).map(({ version: aVersion }) => aVersion);
+      allVersions = (await queryVersions(meteorInstall, { name })).map(({ version: aVersion }) => aVersion);
       allVersions = sortSemver(allVersions);
     }
     if (versionConstraint) {
@@ -195,11 +242,11 @@ export default async function ensureLocalPackage({
     if (await fs.pathExists(pathToPackage)) {
       return versionToUse;
     }
-    const availablePackageVersion = await getOne(db, `SELECT * from versions WHERE packageName="${name}" AND version="${versionToUse}"`);
+    const [availablePackageVersion] = await queryVersions(meteorInstall, { name, version: versionToUse });
     if (!availablePackageVersion) {
       throw new Error(`Package: ${name} does not exist`);
     }
-    const packageVersionBuilds = await getAll(db, `SELECT * from builds WHERE versionId="${availablePackageVersion._id}"`);
+    const packageVersionBuilds = await queryBuilds(meteorInstall, availablePackageVersion._id);
     if (packageVersionBuilds.length !== 1) {
       throw new Error(`Invalid number of builds: ${packageVersionBuilds}`);
     }
@@ -30,6 +30,17 @@ export function meteorNameToLegacyPackageDir(packageName) {
   return packageName.split(':').join('_');
 }
 
+// the file a package.json exports target (e.g., exports['.']) resolves to for the given conditions, the way node picks it
+export function resolveExportTarget(target, conditions) {
+  if (!target || typeof target === 'string') {
+    return target;
+  }
+  return Object.entries(target)
+    .filter(([condition]) => condition === 'default' || conditions.includes(condition))
+    .map(([, value]) => resolveExportTarget(value, conditions))
+    .find(Boolean);
+}
+
 // meteor treats 0.x versions the same as 1.x, semver does not.
 export function versionsAreCompatible(loadedVersion, requestedVersion) {
   const requestedVersions = requestedVersion.split(/\s*\|\|\s*/);
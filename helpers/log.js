@@ -1,5 +1,24 @@
 import colors from 'colors';
 
+let isVerbose = false;
+
+// set once by the runner (--verbose) before any command runs
+export function setVerbose(enabled) {
+  isVerbose = !!enabled;
+}
+
+// a command's actual output (tables, summaries, graphs) - it isn't coloured so it can be piped or diffed
+export function info(...msg) {
+  console.log(msg.join(' '));
+}
+
+// only printed with --verbose
+export function verbose(...msg) {
+  if (isVerbose) {
+    console.log(colors.gray(msg.join(' ')));
+  }
+}
+
 export function notify(...msg) {
   console.log(colors.green(msg.join(' ')));
 }
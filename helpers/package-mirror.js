@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import fetch from 'node-fetch';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+let mirrorDir;
+
+// set once by the runner before any command runs, either a directory or a file:// URL
+export function configurePackageMirror(dirOrUrl) {
+  if (!dirOrUrl) {
+    mirrorDir = undefined;
+    return;
+  }
+  if (dirOrUrl.includes('://')) {
+    if (!dirOrUrl.startsWith('file://')) {
+      throw new Error(`the package mirror must be a directory or a file:// URL, not ${dirOrUrl}`);
+    }
+    mirrorDir = fileURLToPath(dirOrUrl);
+    return;
+  }
+  mirrorDir = path.resolve(dirOrUrl);
+}
+
+// undefined when isopacks are downloaded from the URL in their build record
+export function packageMirrorDir() {
+  return mirrorDir;
+}
+
+// the name the tarball has in the warehouse, e.g., tracker-1.2.0-os+web.browser+web.browser.legacy+web.cordova.tgz
+export function tarballFileName(packageVersionBuildObject) {
+  return path.basename(new URL(packageVersionBuildObject.build.url).pathname);
+}
+
+export async function sha256(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest();
+}
+
+// meteor records the hash as base64, a tarball straight from the warehouse matches it
+export async function matchesBuildRecord(tarballPath, packageVersionBuildObject) {
+  const { tarballHash } = packageVersionBuildObject.build;
+  const hash = await sha256(tarballPath);
+  return !!tarballHash && [hash.toString('base64'), hash.toString('hex')].includes(tarballHash);
+}
+
+/**
+ * the path to the package's tarball in the mirror, or undefined if the mirror doesn't have it.
+ * Throws if the tarball doesn't match the hash in the catalog's build record
+ */
+export async function mirroredTarball(packageVersionObject, packageVersionBuildObject) {
+  const tarballPath = path.join(mirrorDir, tarballFileName(packageVersionBuildObject));
+  if (!await fs.pathExists(tarballPath)) {
+    return undefined;
+  }
+  if (await matchesBuildRecord(tarballPath, packageVersionBuildObject)) {
+    return tarballPath;
+  }
+  const { packageName, version } = packageVersionObject;
+  throw new Error(`${tarballPath} doesn't match the build record of ${packageName}@${version}, remove it and run mirror again`);
+}
+
+// resolves once the whole tarball is on disk, rejects if the warehouse doesn't answer with it
+export async function downloadTarball(url, tarGzPath) {
+  const tarGzResponse = await fetch(url);
+  if (!tarGzResponse.ok) {
+    throw new Error(`couldn't download ${url}: ${tarGzResponse.status} ${tarGzResponse.statusText}`);
+  }
+  const tarGz = fs.createWriteStream(tarGzPath);
+  await new Promise((resolve, reject) => {
+    tarGzResponse.body.on('error', reject);
+    tarGz.on('error', reject);
+    tarGz.on('finish', resolve);
+    tarGzResponse.body.pipe(tarGz);
+  });
+}
+
+/**
+ * downloads the package's tarball from the warehouse into the mirror, it's only added if it matches the hash in its build record.
+ * Downloaded next to where it goes, so a failed or interrupted download never looks like a mirrored tarball
+ * @returns {Promise<Boolean>} false if the mirror already has it
+ */
+export async function mirrorTarball(packageVersionBuildObject, directory) {
+  const tarballPath = path.join(directory, tarballFileName(packageVersionBuildObject));
+  if (await fs.pathExists(tarballPath)) {
+    return false;
+  }
+  const { url } = packageVersionBuildObject.build;
+  const downloadPath = `${tarballPath}.download`;
+  try {
+    await downloadTarball(url, downloadPath);
+    if (!await matchesBuildRecord(downloadPath, packageVersionBuildObject)) {
+      throw new Error(`the tarball downloaded from ${url} doesn't match its build record`);
+    }
+    await fs.move(downloadPath, tarballPath);
+    return true;
+  }
+  finally {
+    await fs.remove(downloadPath);
+  }
+}
@@ -0,0 +1,80 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { warn } from './log';
+
+export const ConfigFileName = 'meteor-lite.config.js';
+
+// the key in an app's package.json which can be used instead of a config file
+export const PackageJsonConfigKey = 'meteorLite';
+
+// options which hold a directory (or list of directories) that must exist for the conversion to behave
+const directoryOptionNames = ['directories'];
+
+async function readConfigFile(configPath) {
+  const { default: config } = await import(pathToFileURL(configPath).href);
+  if (typeof config === 'function') {
+    return config();
+  }
+  return config;
+}
+
+async function warnAboutMissingDirectories(config, source) {
+  const sections = [config, ...Object.values(config.commands || {})];
+  await Promise.all(sections.flatMap((section) => directoryOptionNames
+    .flatMap((optionName) => section[optionName] || [])
+    .map(async (directory) => {
+      if (!await fs.pathExists(directory)) {
+        warn(`${source} references ${directory} which does not exist`);
+      }
+    })));
+}
+
+// the config looks like the below, every key (other than commands) maps to a CLI option of the same name
+// any key can be overridden per command, and any CLI flag overrides both.
+// {
+//   directories: ['../meteor/packages'],
+//   outputDirectory: 'npm-packages',
+//   meteor: '~/.meteor',
+//   meteorPackageDirs: '.common', // equivalent of METEOR_PACKAGE_DIRS
+//   commands: {
+//     'convert-deps': { update: true },
+//   },
+// }
+export async function loadProjectConfig(cwd = process.cwd()) {
+  const configPath = path.join(cwd, ConfigFileName);
+  let config;
+  let source;
+  if (await fs.pathExists(configPath)) {
+    config = await readConfigFile(configPath);
+    source = ConfigFileName;
+  }
+  else if (await fs.pathExists(path.join(cwd, 'package.json'))) {
+    const packageJson = JSON.parse((await fs.readFile(path.join(cwd, 'package.json'))).toString());
+    config = packageJson[PackageJsonConfigKey];
+    source = `package.json#${PackageJsonConfigKey}`;
+  }
+  if (!config) {
+    return {};
+  }
+  await warnAboutMissingDirectories(config, source);
+  return config;
+}
+
+export function configForCommand(config, commandName) {
+  const { commands = {}, ...defaults } = config;
+  return {
+    ...defaults,
+    ...commands[commandName],
+  };
+}
+
+// all the directories converted packages might be written to, in the order convert-deps writes them
+export function outputDirectoriesFromConfig(commandConfig) {
+  const outputDirs = [
+    commandConfig.outputDirectory,
+    commandConfig.outputSharedDirectory,
+    commandConfig.outputLocalDirectory,
+  ].filter(Boolean);
+  return outputDirs.length ? outputDirs : undefined;
+}
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import listFilesInDir from './list-files';
+
+const packageJsonPath = path.join(path.dirname(import.meta.url.replace('file://', '')), '..', 'package.json');
+
+let converterVersion;
+
+async function getConverterVersion() {
+  if (!converterVersion) {
+    converterVersion = JSON.parse((await fs.readFile(packageJsonPath)).toString()).version;
+  }
+  return converterVersion;
+}
+
+// .npm is written by meteor (the npm dependencies are in package.js anyway)
+export function isSourceFile(relativePath) {
+  return !relativePath.split(path.sep).some((part) => part === '.npm' || part === 'node_modules');
+}
+
+// a hash of everything that goes into converting a package: package.js, every other file in the package and the version of this converter
+export default async function packageSourceHash(packageFolder) {
+  const actualPath = await fs.realpath(packageFolder);
+  const files = (await listFilesInDir(actualPath))
+    .map((file) => path.relative(actualPath, file))
+    .filter(isSourceFile)
+    .sort();
+  const hash = crypto.createHash('sha256');
+  hash.update(`meteor-lite@${await getConverterVersion()}\n`);
+  const contents = await Promise.all(files.map((file) => fs.readFile(path.join(actualPath, file))));
+  files.forEach((file, i) => {
+    hash.update(`${file}\n`);
+    hash.update(contents[i]);
+  });
+  return hash.digest('hex');
+}
@@ -0,0 +1,14 @@
+import path from 'path';
+import { isNativeAwait } from '../conversion/ast/rewrite/plugins.js';
+
+const staticPath = path.join(path.dirname(import.meta.url), '..', 'static').replace('file:', '');
+
+// the static files that rely on fibers, with --native-await they're replaced by their -native.js version
+const FiberStaticFiles = new Set(['create-assets.js', 'post-boot.js']);
+
+export default function staticFile(fileName) {
+  if (isNativeAwait() && FiberStaticFiles.has(fileName)) {
+    return path.join(staticPath, fileName.replace(/\.js$/, '-native.js'));
+  }
+  return path.join(staticPath, fileName);
+}
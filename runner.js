@@ -1,5 +1,5 @@
 #!/usr/bin/env -S node --experimental-specifier-resolution=node
-import { program } from 'commander';
+import { InvalidArgumentError, program } from 'commander';
 import os from 'os';
 import path from 'path';
 import fs from 'fs';
@@ -15,18 +15,71 @@ import connect from './commands/shell-client.js';
 import writePeerDependencies from './commands/write-peer-dependencies.js';
 import { baseBuildFolder } from './helpers/base-folder';
 import ensureLocalPackage from './commands/ensure-local-package.js';
-import { error as logError } from './helpers/log';
+import migrate from './commands/migrate.js';
+import doctor from './commands/doctor.js';
+import why from './commands/why.js';
+import verify from './commands/verify.js';
+import { exportCatalog, importCatalog } from './commands/catalog.js';
+import mirror from './commands/mirror.js';
+import graph from './commands/graph.js';
+import { error as logError, setVerbose, verbose } from './helpers/log';
+import { loadProjectConfig, configForCommand, outputDirectoriesFromConfig } from './helpers/project-config';
+import { configureRewrites, setNativeAwait } from './conversion/ast/rewrite/plugins';
+import { configureClassification, describeClassification } from './conversion/classification';
+import { configureCatalogSnapshot, DefaultCatalogSnapshotPath } from './helpers/catalog-snapshot';
+import { configurePackageMirror, packageMirrorDir } from './helpers/package-mirror';
 
 const DefaultArchs = [
   'web.browser',
   'web.browser.legacy',
 ];
 
+// web.cordova is opt-in (--cordova), we only build its JS and assets - the native packaging happens elsewhere
+const archsFor = ({ cordova }) => (cordova ? [...DefaultArchs, 'web.cordova'] : DefaultArchs);
+const cordovaOption = 'also build the web.cordova client (and its cordova-plugins.json)';
+
 const packageJsonPath = path.join(path.dirname(import.meta.url.replace('file://', '')), 'package.json');
 const packageJSON = JSON.parse(fs.readFileSync(packageJsonPath).toString());
 
+// defaults for every command come from meteor-lite.config.js (or package.json#meteorLite), CLI flags always win
+const projectConfig = await loadProjectConfig();
+const defaultsFor = (commandName) => configForCommand(projectConfig, commandName);
+
+function parseInteger(value) {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new InvalidArgumentError('expected a positive integer.');
+  }
+  return parseInt(value, 10);
+}
+
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const { meteorPackageDirs, rewrites, classification } = defaultsFor(actionCommand.name());
+  if (meteorPackageDirs && !process.env.METEOR_PACKAGE_DIRS) {
+    process.env.METEOR_PACKAGE_DIRS = meteorPackageDirs;
+  }
+  await configureRewrites(rewrites);
+  setNativeAwait(thisCommand.opts().nativeAwait);
+  configureClassification(classification);
+  await configureCatalogSnapshot(thisCommand.opts().catalog);
+  configurePackageMirror(thisCommand.opts().packageMirror);
+  setVerbose(thisCommand.opts().verbose);
+  verbose(describeClassification());
+});
+
 program
   .version(packageJSON.version)
+  .option('--verbose', 'print the effective configuration before running the command', projectConfig.verbose)
+  .option('--native-await', 'convert and boot without fibers, await is left as is', projectConfig.nativeAwait)
+  .option(
+    '--catalog <file>',
+    `the catalog snapshot to use instead of the meteor install's (defaults to ${DefaultCatalogSnapshotPath} if it exists)`,
+    projectConfig.catalog,
+  )
+  .option(
+    '--package-mirror <dirOrUrl>',
+    'a directory (or file:// URL) of isopack tarballs to install packages from instead of downloading them',
+    projectConfig.packageMirror,
+  )
   .command('generate-web-browser')
   .action(async () => {
     await Promise.all(DefaultArchs.map((archName) => generateWebBrowser(archName)));
@@ -34,22 +87,33 @@ program
 
 program
   .command('dev-build')
-  .action(async () => {
-    await Promise.all(DefaultArchs.map((archName) => generateWebBrowser(archName)));
-    await generateServer(DefaultArchs);
+  .option('--cordova', cordovaOption, defaultsFor('dev-build').cordova)
+  .action(async (options) => {
+    const archs = archsFor(options);
+    await Promise.all(archs.map((archName) => generateWebBrowser(archName)));
+    await generateServer(archs);
   });
 
 program
   .command('dev-run')
   // You must have already built all the correct versions of the external dependencies
   // we won't re-gen the dependencies file
-  .option('-w, --watch', 'build and watch the pacakges and .common directory?')
-  .option('-m, --meteor <meteorInstall>', 'path to the meteor install')
-  .option('-o, --outputDirectory <outputDirectory>', 'the output directory')
+  .option('-w, --watch', 'build and watch the pacakges and .common directory?', defaultsFor('dev-run').watch)
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('dev-run').meteor)
+  .option('-o, --outputDirectory <outputDirectory>', 'the output directory', defaultsFor('dev-run').outputDirectory)
   .option('--inspect [inspect]', 'inspect the process')
   .option('--inspect-brk [inspectBrk]', 'inspect the process')
-  .option('--outputLocalDirectory <outputLocalDirectory>', 'the output directory for packages in the packages directory')
-  .option('--outputSharedDirectory <outputSharedDirectory>', 'the output directory for packages in the METEOR_PACKAGE_DIRS directory')
+  .option('--cordova', cordovaOption, defaultsFor('dev-run').cordova)
+  .option(
+    '--outputLocalDirectory <outputLocalDirectory>',
+    'the output directory for packages in the packages directory',
+    defaultsFor('dev-run').outputLocalDirectory,
+  )
+  .option(
+    '--outputSharedDirectory <outputSharedDirectory>',
+    'the output directory for packages in the METEOR_PACKAGE_DIRS directory',
+    defaultsFor('dev-run').outputSharedDirectory,
+  )
   .action(async ({
     watch: buildAndWatchPackages,
     outputSharedDirectory,
@@ -58,6 +122,7 @@ program
     meteor,
     inspectBrk,
     inspect,
+    cordova,
   }) => {
     let job;
     if (buildAndWatchPackages) {
@@ -77,7 +142,7 @@ program
       console.log('build complete');
     }
     await run(
-      DefaultArchs,
+      archsFor({ cordova }),
       {
         buildAndWatchPackages,
         job,
@@ -90,21 +155,44 @@ program
 program
   .command('generate-main')
   .requiredOption('-e, --env <env>', 'which env (server or client)')
-  .option('-u, --update', 'update the main.js file?')
+  .option('-u, --update', 'update the main.js file?', defaultsFor('generate-main').update)
   .action(async ({ env, update }) => {
     await generateMain({ env, update });
   });
 
 program
   .command('convert-deps')
-  .option('-p, --packages [packages...]', 'any extra packages to convert')
-  .option('-d, --directories <directories...>', 'the prioritized list of additional directories to search for packages')
-  .requiredOption('-o, --outputDirectory <outputDirectory>', 'the output directory')
-  .option('--outputLocalDirectory <outputLocalDirectory>', 'the output directory for packages in the packages directory')
-  .option('--outputSharedDirectory <outputSharedDirectory>', 'the output directory for packages in the METEOR_PACKAGE_DIRS directory')
-  .option('-u, --update', 'update the dependencies.js file?')
-  .option('-m, --meteor <meteorInstall>', 'path to the meteor install')
-  .option('-f, --force-refresh', 'update all package dependencies, even if they\'re already converted')
+  .option('-p, --packages [packages...]', 'any extra packages to convert', defaultsFor('convert-deps').packages)
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('convert-deps').directories,
+  )
+  .requiredOption('-o, --outputDirectory <outputDirectory>', 'the output directory', defaultsFor('convert-deps').outputDirectory)
+  .option(
+    '--outputLocalDirectory <outputLocalDirectory>',
+    'the output directory for packages in the packages directory',
+    defaultsFor('convert-deps').outputLocalDirectory,
+  )
+  .option(
+    '--outputSharedDirectory <outputSharedDirectory>',
+    'the output directory for packages in the METEOR_PACKAGE_DIRS directory',
+    defaultsFor('convert-deps').outputSharedDirectory,
+  )
+  .option('-u, --update', 'update the dependencies.js file?', defaultsFor('convert-deps').update)
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('convert-deps').meteor)
+  .option('-f, --force-refresh', 'update all package dependencies, even if they\'re already converted', defaultsFor('convert-deps').forceRefresh)
+  .option(
+    '-j, --jobs <jobs>',
+    'how many worker threads parse and rewrite the package files (1 does everything on the main thread)',
+    parseInteger,
+    defaultsFor('convert-deps').jobs,
+  )
+  .option(
+    '-r, --reportDirectory <reportDirectory>',
+    'where to write the conversion report (defaults to the output directory)',
+    defaultsFor('convert-deps').reportDirectory,
+  )
   .action(async ({
     packages = [],
     directories,
@@ -114,6 +202,8 @@ program
     update,
     meteor,
     forceRefresh,
+    jobs,
+    reportDirectory,
   }) => {
     if (!outputDirectory) {
       throw new Error('must specify output directory');
@@ -127,22 +217,131 @@ program
       updateDependencies: update,
       meteorInstall: meteor || `${os.homedir()}/.meteor`,
       forceRefresh,
+      jobs,
+      reportDirectory,
     });
 
     // while you might think this line is superflous, it's very useful.
-    // In some situations the conversion can deadlock in which case it exits with no output
+    // a deadlocked conversion fails with the wait-for graph (see WaitGraph), but this makes success obvious too
     console.log('complete');
   });
 
+program
+  .command('migrate')
+  .option('-p, --packages [packages...]', 'any extra packages to convert', defaultsFor('migrate').packages)
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('migrate').directories,
+  )
+  .requiredOption('-o, --outputDirectory <outputDirectory>', 'the output directory', defaultsFor('migrate').outputDirectory)
+  .option(
+    '--outputLocalDirectory <outputLocalDirectory>',
+    'the output directory for packages in the packages directory',
+    defaultsFor('migrate').outputLocalDirectory,
+  )
+  .option(
+    '--outputSharedDirectory <outputSharedDirectory>',
+    'the output directory for packages in the METEOR_PACKAGE_DIRS directory',
+    defaultsFor('migrate').outputSharedDirectory,
+  )
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('migrate').meteor)
+  .option('-f, --force-refresh', 'update all package dependencies, even if they\'re already converted', defaultsFor('migrate').forceRefresh)
+  .option(
+    '-j, --jobs <jobs>',
+    'how many worker threads parse and rewrite the package files (1 does everything on the main thread)',
+    parseInteger,
+    defaultsFor('migrate').jobs,
+  )
+  .option('-t, --type <dependencyType>', 'dependencies peerDependencies or optionalDependencies', defaultsFor('migrate').type)
+  .option('--restart', 'ignore any checkpoint left by a failed migration and start from the beginning')
+  .action(async ({
+    packages = [],
+    directories,
+    outputDirectory,
+    outputSharedDirectory,
+    outputLocalDirectory,
+    meteor,
+    forceRefresh,
+    jobs,
+    type: dependencyType,
+    restart,
+  }) => {
+    await migrate({
+      extraPackages: packages,
+      directories,
+      outputDirectory,
+      outputSharedDirectory,
+      outputLocalDirectory,
+      meteorInstall: meteor || `${os.homedir()}/.meteor`,
+      forceRefresh,
+      jobs,
+      dependenciesKey: dependencyType,
+      restart,
+    });
+  });
+
+program
+  .command('doctor')
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('doctor').directories,
+  )
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('doctor').meteor)
+  .action(async ({
+    directories,
+    meteor,
+  }) => {
+    const healthy = await doctor({
+      directories,
+      meteorInstall: meteor || `${os.homedir()}/.meteor`,
+    });
+    if (!healthy) {
+      process.exitCode = 1;
+    }
+  });
+
 program
   .command('convert-packages')
-  .requiredOption('-p, --packages <package...>', 'the packages to convert')
-  .requiredOption('-o, --outputDirectory <outputDirectory>', 'the output directory for general packages')
-  .option('--outputLocalDirectory <outputLocalDirectory>', 'the output directory for packages in the packages directory')
-  .option('--outputSharedDirectory <outputSharedDirectory>', 'the output directory for packages in the METEOR_PACKAGE_DIRS directory')
-  .option('-m, --meteor <meteorInstall>', 'path to the meteor install')
-  .option('-d, --directories <directories...>', 'the prioritized list of additional directories to search for packages')
-  .option('-f, --force-refresh', 'update all package dependencies, even if they\'re already converted')
+  .requiredOption('-p, --packages <package...>', 'the packages to convert', defaultsFor('convert-packages').packages)
+  .requiredOption(
+    '-o, --outputDirectory <outputDirectory>',
+    'the output directory for general packages',
+    defaultsFor('convert-packages').outputDirectory,
+  )
+  .option(
+    '--outputLocalDirectory <outputLocalDirectory>',
+    'the output directory for packages in the packages directory',
+    defaultsFor('convert-packages').outputLocalDirectory,
+  )
+  .option(
+    '--outputSharedDirectory <outputSharedDirectory>',
+    'the output directory for packages in the METEOR_PACKAGE_DIRS directory',
+    defaultsFor('convert-packages').outputSharedDirectory,
+  )
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('convert-packages').meteor)
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('convert-packages').directories,
+  )
+  .option(
+    '-f, --force-refresh',
+    'update all package dependencies, even if they\'re already converted',
+    defaultsFor('convert-packages').forceRefresh,
+  )
+  .option(
+    '-j, --jobs <jobs>',
+    'how many worker threads parse and rewrite the package files (1 does everything on the main thread)',
+    parseInteger,
+    defaultsFor('convert-packages').jobs,
+  )
+  .option(
+    '-r, --reportDirectory <reportDirectory>',
+    'where to write the conversion report (defaults to the output directory)',
+    defaultsFor('convert-packages').reportDirectory,
+  )
   .action(async ({
     packages: packageNames,
     directories,
@@ -151,6 +350,8 @@ program
     outputLocalDirectory,
     meteor,
     forceRefresh,
+    jobs,
+    reportDirectory,
   }) => {
     console.log(await convertPackage({
       packageNames,
@@ -160,16 +361,22 @@ program
       directories: directories || [],
       meteorInstall: meteor || `${os.homedir()}/.meteor`,
       forceRefresh,
+      jobs,
+      reportDirectory,
     }));
   });
 
 program
   .command('test-packages')
-  .option('-m, --meteor <meteorInstall>', 'path to the meteor install')
-  .requiredOption('-p, --packages <package...>', 'the packages to test')
-  .requiredOption('--driver-package <driverPackage>', 'the test driver to use')
-  .option('-d, --directories <directories...>', 'the prioritized list of additional directories to search for packages')
-  .option('--extra-packages <extraPackages...>', 'any extra packages to load')
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('test-packages').meteor)
+  .requiredOption('-p, --packages <package...>', 'the packages to test', defaultsFor('test-packages').packages)
+  .requiredOption('--driver-package <driverPackage>', 'the test driver to use', defaultsFor('test-packages').driverPackage)
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('test-packages').directories,
+  )
+  .option('--extra-packages <extraPackages...>', 'any extra packages to load', defaultsFor('test-packages').extraPackages)
   .option('--test-directory <testDirectory>', 'a path to a test directory to use (useful for debugging)')
   .option('--inspect [inspect]', 'inspect the process')
   .option('--inspect-brk [inspectBrk]', 'inspect the process')
@@ -215,24 +422,34 @@ program
 
 program
   .command('build')
-  .requiredOption('-d, --directory <directory>', 'the output directory')
-  .requiredOption('-o, --packageDirs <packageDirs...>', 'the local output directories (e.g., npm-packages')
+  .requiredOption('-d, --directory <directory>', 'the output directory', defaultsFor('build').directory)
+  .requiredOption(
+    '-o, --packageDirs <packageDirs...>',
+    'the local output directories (e.g., npm-packages',
+    defaultsFor('build').packageDirs || outputDirectoriesFromConfig(defaultsFor('build')),
+  )
+  .option('--cordova', cordovaOption, defaultsFor('build').cordova)
   .action(async ({
     directory,
     packageDirs,
+    cordova,
   }) => {
     await prodBuild({
       directory,
-      archs: DefaultArchs,
+      archs: archsFor({ cordova }),
       packageDirs,
     });
   });
 
 program
   .command('write-peer-dependencies')
-  .requiredOption('-o, --outputDirs <outputDirs...>', 'the local output directories (e.g., npm-packages')
-  .option('-t, --type <dependencyType>', 'dependencies peerDependencies or optionalDependencies')
-  .option('--no-use-peer', 'whether to use peer dependencies at all or just add to package.json',)
+  .requiredOption(
+    '-o, --outputDirs <outputDirs...>',
+    'the local output directories (e.g., npm-packages',
+    defaultsFor('write-peer-dependencies').outputDirs || outputDirectoriesFromConfig(defaultsFor('write-peer-dependencies')),
+  )
+  .option('-t, --type <dependencyType>', 'dependencies peerDependencies or optionalDependencies', defaultsFor('write-peer-dependencies').type)
+  .option('--no-use-peer', 'whether to use peer dependencies at all or just add to package.json', defaultsFor('write-peer-dependencies').usePeer)
   // .option('-n, --name <name>', 'the name of the local module to use', 'meteor-peer-dependencies')
   .action(async ({ outputDirs = [], type: dependencyType, usePeer }) => {
     await writePeerDependencies({
@@ -243,17 +460,159 @@ program
     });
   });
 
+program
+  .command('why <meteorPackage>')
+  .requiredOption(
+    '-o, --outputDirs <outputDirs...>',
+    'the local output directories (e.g., npm-packages',
+    defaultsFor('why').outputDirs || outputDirectoriesFromConfig(defaultsFor('why')),
+  )
+  .option('-a, --archs <archs...>', 'the architectures to explain (defaults to all of them)', defaultsFor('why').archs)
+  .action(async (meteorPackage, { outputDirs = [], archs }) => {
+    await why({
+      meteorName: meteorPackage,
+      localDirs: outputDirs,
+      archs,
+    });
+  });
+
+program
+  .command('verify')
+  .requiredOption(
+    '-o, --outputDirs <outputDirs...>',
+    'the local output directories (e.g., npm-packages',
+    defaultsFor('verify').outputDirs || outputDirectoriesFromConfig(defaultsFor('verify')),
+  )
+  .option('-p, --packages <packages...>', 'the packages to verify (defaults to all of them)', defaultsFor('verify').packages)
+  .option('-a, --archs <archs...>', 'the architectures to verify (defaults to all of them)', defaultsFor('verify').archs)
+  .action(async ({ outputDirs = [], packages, archs }) => {
+    const passed = await verify({
+      localDirs: outputDirs,
+      packages,
+      archs,
+    });
+    if (!passed) {
+      process.exitCode = 1;
+    }
+  });
+
+const catalog = program
+  .command('catalog')
+  .description('snapshot the parts of meteor\'s package catalog the app needs, so commands don\'t need meteor installed');
+
+catalog
+  .command('export')
+  .option('-f, --file <file>', 'where to write the snapshot', defaultsFor('catalog').file || DefaultCatalogSnapshotPath)
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('catalog').meteor)
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('catalog').directories,
+  )
+  .option('-p, --packages [packages...]', 'any extra packages to include', defaultsFor('catalog').packages)
+  .option('--all', 'include every package in the catalog, not just the ones the app could use', defaultsFor('catalog').all)
+  .action(async ({
+    file,
+    meteor,
+    directories,
+    packages = [],
+    all,
+  }) => {
+    await exportCatalog({
+      file,
+      meteorInstall: meteor || `${os.homedir()}/.meteor`,
+      directories,
+      extraPackages: packages,
+      all,
+    });
+  });
+
+catalog
+  .command('import <snapshot>')
+  .option('-f, --file <file>', 'where to write the snapshot', defaultsFor('catalog').file || DefaultCatalogSnapshotPath)
+  .option('--merge', 'keep the versions already in the app\'s snapshot', defaultsFor('catalog').merge)
+  .action(async (snapshot, { file, merge }) => {
+    await importCatalog({
+      from: snapshot,
+      file,
+      merge,
+    });
+  });
+
+program
+  .command('mirror')
+  .option('-o, --directory <directory>', 'the package mirror to populate (defaults to --package-mirror)', defaultsFor('mirror').directory)
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('mirror').meteor)
+  .option('-p, --packages [packages...]', 'only mirror these packages', defaultsFor('mirror').packages)
+  .action(async ({ directory, meteor, packages }) => {
+    await mirror({
+      directory: directory || packageMirrorDir(),
+      meteorInstall: meteor || `${os.homedir()}/.meteor`,
+      packages,
+    });
+  });
+
+program
+  .command('graph')
+  .option('-f, --format <format>', 'dot or json', defaultsFor('graph').format || 'dot')
+  .option('--file <file>', 'write the graph to a file instead of stdout', defaultsFor('graph').file)
+  .option('-a, --archs <archs...>', 'the architectures to graph (defaults to all of them)', defaultsFor('graph').archs)
+  .option('-c, --convert', 'convert the app\'s packages and graph those, rather than reading the output directories', defaultsFor('graph').convert)
+  .option('-p, --packages [packages...]', 'any extra packages to include', defaultsFor('graph').packages)
+  .option(
+    '-d, --directories <directories...>',
+    'the prioritized list of additional directories to search for packages',
+    defaultsFor('graph').directories,
+  )
+  .requiredOption('-o, --outputDirectory <outputDirectory>', 'the output directory', defaultsFor('graph').outputDirectory)
+  .option(
+    '--outputLocalDirectory <outputLocalDirectory>',
+    'the output directory for packages in the packages directory',
+    defaultsFor('graph').outputLocalDirectory,
+  )
+  .option(
+    '--outputSharedDirectory <outputSharedDirectory>',
+    'the output directory for packages in the METEOR_PACKAGE_DIRS directory',
+    defaultsFor('graph').outputSharedDirectory,
+  )
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('graph').meteor)
+  .action(async ({
+    format,
+    file,
+    archs,
+    convert,
+    packages = [],
+    directories,
+    outputDirectory,
+    outputSharedDirectory,
+    outputLocalDirectory,
+    meteor,
+  }) => {
+    await graph({
+      format,
+      file,
+      archs,
+      convert,
+      extraPackages: packages,
+      directories,
+      outputDirectory,
+      outputSharedDirectory,
+      outputLocalDirectory,
+      meteorInstall: meteor || `${os.homedir()}/.meteor`,
+    });
+  });
+
 program
   .command('ensure-local-package')
   .requiredOption('-n, --name <name>', 'the name of the package')
   .requiredOption('-v, --version <version>', 'the version of the package')
-  .option('-m, --meteor <meteorInstall>', 'path to the meteor install')
+  .option('-m, --meteor <meteorInstall>', 'path to the meteor install', defaultsFor('ensure-local-package').meteor)
   .action(async ({ name, version, meteor }) => {
     console.log(await ensureLocalPackage({ name, version, meteorInstall: meteor }));
   });
 
 program.parseAsync().catch((err) => {
   logError('critical error, exiting');
-  logError(err, err.stack);
-  process.exit();
+  logError(err.stack || err);
+  process.exit(1);
 });
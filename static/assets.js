@@ -1,11 +1,5 @@
-import fs from 'fs/promises';
-import path from 'path';
+import createAssets from './create-assets.js';
 
-// TODO (down the road): swap to @meteor/assets
-const basePath = path.join(path.dirname(import.meta.url), 'private').replace('file:', '');
-
-globalThis.Assets = {
-  getText(file) {
-    return Promise.await(fs.readFile(path.join(basePath, file))).toString();
-  },
-};
+// the app's assets, generate-server links (or copies) ./private to server/assets
+// every package gets its own Assets (createAssets in its __globals.js)
+globalThis.Assets = createAssets(new URL('./assets/', import.meta.url));
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// the same as create-assets.js, for apps converted with --native-await (there is no fiber to yield, so the sync forms block)
+export default function createAssets(baseUrl) {
+  const baseDir = fileURLToPath(new URL('.', baseUrl));
+
+  function absoluteFilePath(assetPath) {
+    const filePath = path.join(baseDir, assetPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unknown asset: ${assetPath}`);
+    }
+    return filePath;
+  }
+
+  function toBinary(buffer) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  }
+
+  async function getTextAsync(assetPath) {
+    return fsPromises.readFile(absoluteFilePath(assetPath), 'utf8');
+  }
+
+  async function getBinaryAsync(assetPath) {
+    return toBinary(await fsPromises.readFile(absoluteFilePath(assetPath)));
+  }
+
+  function callWhenRead(promise, callback) {
+    promise.then((result) => callback(undefined, result), (error) => callback(error));
+  }
+
+  return {
+    getText(assetPath, callback) {
+      if (callback) {
+        return callWhenRead(getTextAsync(assetPath), callback);
+      }
+      return fs.readFileSync(absoluteFilePath(assetPath), 'utf8');
+    },
+    getBinary(assetPath, callback) {
+      if (callback) {
+        return callWhenRead(getBinaryAsync(assetPath), callback);
+      }
+      return toBinary(fs.readFileSync(absoluteFilePath(assetPath)));
+    },
+    getTextAsync,
+    getBinaryAsync,
+    absoluteFilePath,
+  };
+}
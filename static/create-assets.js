@@ -0,0 +1,47 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// meteor's server side Assets API, relative to the folder of baseUrl (e.g., a package's __globals.js or the app's assets folder)
+// the sync forms yield the current fiber, with a callback the asset is read in the background
+export default function createAssets(baseUrl) {
+  const baseDir = fileURLToPath(new URL('.', baseUrl));
+
+  function absoluteFilePath(assetPath) {
+    const filePath = path.join(baseDir, assetPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unknown asset: ${assetPath}`);
+    }
+    return filePath;
+  }
+
+  async function getTextAsync(assetPath) {
+    return fsPromises.readFile(absoluteFilePath(assetPath), 'utf8');
+  }
+
+  async function getBinaryAsync(assetPath) {
+    const buffer = await fsPromises.readFile(absoluteFilePath(assetPath));
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  }
+
+  function withOptionalCallback(promise, callback) {
+    if (!callback) {
+      return Promise.await(promise);
+    }
+    promise.then((result) => callback(undefined, result), (error) => callback(error));
+    return undefined;
+  }
+
+  return {
+    getText(assetPath, callback) {
+      return withOptionalCallback(getTextAsync(assetPath), callback);
+    },
+    getBinary(assetPath, callback) {
+      return withOptionalCallback(getBinaryAsync(assetPath), callback);
+    },
+    getTextAsync,
+    getBinaryAsync,
+    absoluteFilePath,
+  };
+}
@@ -0,0 +1,30 @@
+import { getMain } from '@meteor/webapp';
+
+// the boot path for apps converted with --native-await, there is no fiber so everything is awaited instead
+
+async function callStartupHooks() {
+  // run the user startup hooks.  other calls to startup() during this can still
+  // add hooks to the end.
+  while (__meteor_bootstrap__.startupHooks.length) {
+    const hook = __meteor_bootstrap__.startupHooks.shift();
+    // eslint-disable-next-line no-await-in-loop
+    await hook();
+  }
+  // Setting this to null tells Meteor.startup to call hooks immediately.
+  __meteor_bootstrap__.startupHooks = null;
+}
+
+async function runMain() {
+  const globalMain = await getMain();
+  // find and run main()
+  // XXX hack. we should know the package that contains main.
+  const exitCode = await globalMain.call({}, process.argv.slice(3));
+  // XXX hack, needs a better way to keep alive
+  if (exitCode !== 'DAEMON') process.exit(exitCode);
+}
+
+const start = new Date().getTime();
+console.log('Server starting', new Date());
+await callStartupHooks();
+await runMain();
+console.log('Server started?', (new Date().getTime() - start));
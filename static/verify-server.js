@@ -0,0 +1,27 @@
+import './pre-boot.js';
+
+// run by the verify command: node verify-server.js <entry> <exported names>
+// imports a converted package's server entry on its own and reports back what went wrong
+const [entry, exportedNamesJson] = process.argv.slice(2);
+
+function report(result) {
+  process.send(result, () => process.exit(0));
+}
+
+import(entry)
+  .then((packageExports) => {
+    const exportedNames = JSON.parse(exportedNamesJson);
+    report({
+      notExported: exportedNames.filter((name) => !(name in packageExports)),
+      undefinedExports: exportedNames.filter((name) => name in packageExports && packageExports[name] === undefined),
+    });
+  })
+  .catch((e) => {
+    report({
+      error: {
+        name: e.name,
+        code: e.code,
+        message: e.message,
+      },
+    });
+  });
@@ -0,0 +1,95 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  after,
+  before,
+  describe,
+  it,
+} from 'node:test';
+import { fileURLToPath } from 'url';
+import { configurePackageMirror, mirroredTarball, mirrorTarball } from '../helpers/package-mirror.js';
+
+const fixturePath = fileURLToPath(new URL('./fixtures/tracker-1.2.0-os.tgz', import.meta.url));
+const packageVersionObject = { packageName: 'tracker', version: '1.2.0' };
+
+// a warehouse that serves the fixture tarball, and nothing else
+function startWarehouse() {
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== '/packages/tracker/1.2.0/tracker-1.2.0-os.tgz') {
+      res.writeHead(404);
+      res.end('not found');
+      return;
+    }
+    res.end(await fs.readFile(fixturePath));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('package mirror', () => {
+  let server;
+  let baseUrl;
+  let tarballHash;
+
+  const buildRecord = (overrides = {}) => ({
+    build: {
+      url: `${baseUrl}/packages/tracker/1.2.0/tracker-1.2.0-os.tgz`,
+      tarballHash,
+      ...overrides,
+    },
+  });
+
+  before(async () => {
+    server = await startWarehouse();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tarballHash = crypto.createHash('sha256').update(await fs.readFile(fixturePath)).digest('base64');
+  });
+
+  after(() => new Promise((resolve) => {
+    server.close(resolve);
+  }));
+
+  it('mirrors the warehouse tarball once it matches its build record', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'package-mirror-'));
+    assert.strictEqual(await mirrorTarball(buildRecord(), directory), true);
+    assert.deepStrictEqual(await fs.readdir(directory), ['tracker-1.2.0-os.tgz']);
+    assert.deepStrictEqual(await fs.readFile(path.join(directory, 'tracker-1.2.0-os.tgz')), await fs.readFile(fixturePath));
+
+    configurePackageMirror(directory);
+    assert.strictEqual(await mirroredTarball(packageVersionObject, buildRecord()), path.join(directory, 'tracker-1.2.0-os.tgz'));
+    assert.strictEqual(await mirrorTarball(buildRecord(), directory), false);
+    configurePackageMirror(undefined);
+    await fs.remove(directory);
+  });
+
+  it('fails the download when the warehouse does not answer with the tarball', async () => {
+    const emptyDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'package-mirror-'));
+    await assert.rejects(
+      mirrorTarball(buildRecord({ url: `${baseUrl}/packages/tracker/1.2.0/missing/tracker-1.2.0-os.tgz` }), emptyDirectory),
+      /couldn't download .* 404/,
+    );
+    assert.deepStrictEqual(await fs.readdir(emptyDirectory), []);
+    await fs.remove(emptyDirectory);
+  });
+
+  it('does not mirror a tarball that does not match its build record', async () => {
+    const emptyDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'package-mirror-'));
+    await assert.rejects(mirrorTarball(buildRecord({ tarballHash: 'not-the-hash' }), emptyDirectory), /doesn't match its build record/);
+    assert.deepStrictEqual(await fs.readdir(emptyDirectory), []);
+    await fs.remove(emptyDirectory);
+  });
+
+  it('refuses a tarball in the mirror that does not match its build record', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'package-mirror-'));
+    await fs.copy(fixturePath, path.join(directory, 'tracker-1.2.0-os.tgz'));
+    configurePackageMirror(directory);
+    await assert.rejects(mirroredTarball(packageVersionObject, buildRecord({ tarballHash: 'not-the-hash' })), /doesn't match the build record/);
+    configurePackageMirror(undefined);
+    await fs.remove(directory);
+  });
+});
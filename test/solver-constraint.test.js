@@ -0,0 +1,33 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import toSolverConstraint from '../commands/helpers/solver-constraint.js';
+
+describe('toSolverConstraint', () => {
+  it('passes meteor constraints as they are, keeping their minimum', () => {
+    assert.strictEqual(toSolverConstraint('1.4.2'), '1.4.2');
+    assert.strictEqual(toSolverConstraint('=1.4.2'), '=1.4.2');
+    assert.strictEqual(toSolverConstraint('1.2.3_1'), '1.2.3_1');
+    assert.strictEqual(toSolverConstraint('2.0.0-rc.1'), '2.0.0-rc.1');
+    assert.strictEqual(toSolverConstraint('1.0.0 || 2.0.0'), '1.0.0 || 2.0.0');
+  });
+
+  it('lets a 0.x constraint resolve to a 1.x version', () => {
+    assert.strictEqual(toSolverConstraint('0.9.0'), '0.9.0 || 1.0.0');
+    assert.strictEqual(toSolverConstraint('0.9.0 || 2.0.0'), '0.9.0 || 1.0.0 || 2.0.0');
+    assert.strictEqual(toSolverConstraint('0.9.0 || 1.0.0'), '0.9.0 || 1.0.0');
+  });
+
+  it('keeps exact 0.x constraints exact', () => {
+    assert.strictEqual(toSolverConstraint('=0.9.0'), '=0.9.0');
+  });
+
+  it('approximates node ranges by the version they start from', () => {
+    assert.strictEqual(toSolverConstraint('>=1.2'), '1.2.0');
+  });
+
+  it("doesn't constrain the version for * or tags", () => {
+    assert.strictEqual(toSolverConstraint('*'), null);
+    assert.strictEqual(toSolverConstraint('latest'), null);
+    assert.strictEqual(toSolverConstraint('1.0.0 || latest'), null);
+  });
+});